@@ -7,6 +7,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const categories = require('./src/config/categories');
+const Helpers = require('./src/utils/helpers');
 
 async function inspectData() {
   const dataDir = path.join(__dirname, 'data');
@@ -36,10 +37,24 @@ async function inspectData() {
     console.log(`   Current cycle: ${scanStatus.currentCycle || 1}`);
     console.log(`   Last scan: ${scanStatus.lastScanTime || 'Never'}\n`);
 
+    const progress = scanStatus.inProgress;
+    if (progress) {
+      const totalQueries = progress.totalQueries || '?';
+      console.log(`⏸️  UNFINISHED SCAN:`);
+      console.log(`   Category: ${progress.category}`);
+      console.log(`   Position: query ${Math.min(progress.queryIndex + 1, totalQueries)}/${totalQueries}, page ${progress.page}`);
+      if (progress.query) {
+        console.log(`   Query: ${progress.query}`);
+      }
+      console.log(`   Enriched so far: ${progress.repositories.length} repositories`);
+      console.log(`   Started: ${progress.startedAt}`);
+      console.log(`   Last checkpoint: ${progress.updatedAt || progress.startedAt}\n`);
+    }
+
     console.log(`📂 CATEGORY STATUS:`);
     Object.entries(categories).forEach(([key, category]) => {
       const isCompleted = scanStatus.completedCategories.includes(key);
-      const repoCount = Object.values(repositories).filter(r => r.category === key).length;
+      const repoCount = Object.values(repositories).filter(r => Helpers.getRepositoryCategories(r).includes(key)).length;
       const status = isCompleted ? `✅ ${repoCount} repos` : '⏳ Pending';
       console.log(`   ${category.icon} ${category.name.padEnd(20)} ${status}`);
     });
@@ -48,11 +63,18 @@ async function inspectData() {
       console.log(`\n📈 REPOSITORY BREAKDOWN:`);
       const reposByCategory = {};
       Object.values(repositories).forEach(repo => {
-        if (!reposByCategory[repo.category]) {
-          reposByCategory[repo.category] = [];
-        }
-        reposByCategory[repo.category].push(repo);
+        Helpers.getRepositoryCategories(repo).forEach(categoryKey => {
+          if (!reposByCategory[categoryKey]) {
+            reposByCategory[categoryKey] = [];
+          }
+          reposByCategory[categoryKey].push(repo);
+        });
       });
+      
+      const multiCategory = Object.values(repositories).filter(repo => Helpers.getRepositoryCategories(repo).length > 1);
+      if (multiCategory.length > 0) {
+        console.log(`   (${multiCategory.length} repositories belong to more than one category)`);
+      }
 
       Object.entries(reposByCategory).forEach(([categoryKey, repos]) => {
         const avgScore = repos.reduce((sum, r) => sum + (r.qualityScore?.total || 0), 0) / repos.length;
@@ -67,10 +89,25 @@ async function inspectData() {
         .forEach((repo, index) => {
           console.log(`   ${index + 1}. ${repo.full_name} (${repo.qualityScore?.total || 0}/100)`);
         });
+
+      // Repositories whose search category the classifier disagrees with
+      const disagreements = Object.values(repositories).filter(repo => repo.classification?.disagrees);
+      if (disagreements.length > 0) {
+        console.log(`\n🏷️  CLASSIFIER DISAGREEMENTS (${disagreements.length}):`);
+        disagreements
+          .sort((a, b) => b.classification.confidence - a.classification.confidence)
+          .slice(0, 10)
+          .forEach(repo => {
+            const { category, confidence, searchCategory, assigned } = repo.classification;
+            console.log(`   ${repo.full_name}: found in ${searchCategory}, looks like ${category} (${confidence}% confidence${assigned ? ', reassigned' : ''})`);
+          });
+      }
     }
 
     console.log(`\n🔮 NEXT STEPS:`);
-    if (completedCategories < totalCategories) {
+    if (progress) {
+      console.log(`   Next run resumes: ${progress.category}`);
+    } else if (completedCategories < totalCategories) {
       const remaining = Object.keys(categories).filter(k => !scanStatus.completedCategories.includes(k));
       console.log(`   Next category to scan: ${remaining[0]}`);
       console.log(`   Remaining categories: ${remaining.length}`);
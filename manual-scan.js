@@ -23,6 +23,7 @@ async function scanSpecificCategory(categoryKey) {
   if (!categories[categoryKey]) {
     console.error(`❌ Category "${categoryKey}" not found!`);
     console.log('Available categories:', Object.keys(categories).join(', '));
+    process.exitCode = 1;
     return;
   }
 
@@ -1,124 +1,133 @@
-const categories = {
-  'web-automation': {
-    name: 'Web Automation',
-    description: 'Tools and frameworks for web browser automation',
-    icon: '🌐',
-    searchTerms: [
-      'selenium webdriver',
-      'playwright browser automation',
-      'cypress testing',
-      'puppeteer automation',
-      'webdriverio testing',
-      'testcafe automation'
-    ],
-    languages: ['JavaScript', 'Python', 'Java', 'C#', 'TypeScript'],
-    primaryColor: '#4CAF50'
-  },
-  'mobile-automation': {
-    name: 'Mobile Automation',
-    description: 'Frameworks for mobile app testing',
-    icon: '📱',
-    searchTerms: [
-      'appium mobile testing',
-      'detox react native testing',
-      'espresso android testing',
-      'xcuitest ios testing',
-      'mobile automation framework'
-    ],
-    languages: ['Java', 'JavaScript', 'Swift', 'Kotlin', 'Python'],
-    primaryColor: '#FF9800'
-  },
-  'api-testing': {
-    name: 'API Testing',
-    description: 'Tools for REST API and web service testing',
-    icon: '🔌',
-    searchTerms: [
-      'rest assured api testing',
-      'postman newman testing',
-      'supertest api testing',
-      'api automation framework',
-      'http testing library',
-      'rest api testing'
-    ],
-    languages: ['Java', 'JavaScript', 'Python', 'C#', 'Go'],
-    primaryColor: '#2196F3'
-  },
-  'unit-testing': {
-    name: 'Unit Testing',
-    description: 'Unit testing frameworks and libraries',
-    icon: '🧪',
-    searchTerms: [
-      'junit testing framework',
-      'testng testing framework',
-      'jest testing framework',
-      'mocha testing framework',
-      'pytest testing framework',
-      'nunit testing framework',
-      'rspec testing framework'
-    ],
-    languages: ['Java', 'JavaScript', 'Python', 'C#', 'Ruby'],
-    primaryColor: '#9C27B0'
-  },
-  'performance-testing': {
-    name: 'Performance Testing',
-    description: 'Load testing and performance monitoring tools',
-    icon: '⚡',
-    searchTerms: [
-      'jmeter performance testing',
-      'locust load testing',
-      'k6 performance testing',
-      'gatling load testing',
-      'artillery load testing',
-      'performance testing framework'
-    ],
-    languages: ['Java', 'Python', 'JavaScript', 'Scala', 'Go'],
-    primaryColor: '#F44336'
-  },
-  'test-frameworks': {
-    name: 'Test Frameworks',
-    description: 'Comprehensive testing frameworks and runners',
-    icon: '🏗️',
-    searchTerms: [
-      'cucumber bdd testing',
-      'testng framework',
-      'pytest framework',
-      'rspec framework',
-      'test automation framework',
-      'bdd testing framework'
-    ],
-    languages: ['Java', 'Python', 'Ruby', 'JavaScript', 'C#'],
-    primaryColor: '#607D8B'
-  },
-  'utility-tools': {
-    name: 'Testing Utilities',
-    description: 'Helper tools and utilities for testing',
-    icon: '🛠️',
-    searchTerms: [
-      'test data generator',
-      'mock testing library',
-      'test report generator',
-      'test utility library',
-      'testing helper tools',
-      'automation utilities'
-    ],
-    languages: ['JavaScript', 'Python', 'Java', 'TypeScript', 'Go'],
-    primaryColor: '#795548'
-  },
-  'ci-cd-testing': {
-    name: 'CI/CD Testing',
-    description: 'Tools for continuous integration and testing',
-    icon: '🔄',
-    searchTerms: [
-      'github actions testing',
-      'jenkins testing pipeline',
-      'ci cd testing',
-      'continuous testing',
-      'test automation pipeline',
-      'devops testing'
-    ],
-    languages: ['YAML', 'Shell', 'JavaScript', 'Python', 'Go'],
-    primaryColor: '#3F51B5'
-  }
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads the category definitions from categories.json (or the file named by
+ * CATEGORIES_FILE) and validates them. Exported as an object keyed by
+ * category id, in file order, so every scanner, generator and CLI sees the
+ * same list. Adding a category only means adding an entry to the file.
+ */
+
+const DEFAULT_FILE = path.join(__dirname, 'categories.json');
+
+const FIELDS = {
+  id: 'string',
+  name: 'string',
+  description: 'string',
+  icon: 'string',
+  searchTerms: 'string[]',
+  languages: 'string[]',
+  color: 'string',
+  topics: 'string[]',
+  keywords: 'string[]',
+  packages: 'string[]',
+  include: 'string[]',
+  includeOrgs: 'string[]',
+  exclusions: 'object',
+  search: 'object'
 };
 
-module.exports = categories;
+const REQUIRED = ['id', 'name', 'description', 'icon', 'searchTerms'];
+
+const SEARCH_OPTIONS = {
+  split: ['none', 'stars', 'created'],
+  languages: ['separate', 'any']
+};
+
+function checkType(value, type) {
+  if (type === 'string[]') {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+  }
+  if (type === 'object') {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  return typeof value === type && value.trim() !== '';
+}
+
+function validateCategory(category, index, seen) {
+  const label = category && typeof category.id === 'string' ? `"${category.id}"` : `#${index + 1}`;
+  const errors = [];
+
+  if (!checkType(category, 'object')) {
+    return [`category ${label} must be an object`];
+  }
+
+  REQUIRED.forEach(field => {
+    if (category[field] === undefined) errors.push(`category ${label} is missing "${field}"`);
+  });
+
+  Object.entries(category).forEach(([field, value]) => {
+    if (!FIELDS[field]) {
+      errors.push(`category ${label} has unknown field "${field}"`);
+    } else if (!checkType(value, FIELDS[field])) {
+      errors.push(`category ${label} field "${field}" must be a ${FIELDS[field] === 'string[]' ? 'list of strings' : FIELDS[field]}`);
+    }
+  });
+
+  if (typeof category.id === 'string') {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(category.id)) {
+      errors.push(`category ${label} id must be lowercase kebab-case`);
+    }
+    if (seen.has(category.id)) {
+      errors.push(`category ${label} is defined more than once`);
+    }
+    seen.add(category.id);
+  }
+
+  if (Array.isArray(category.searchTerms) && category.searchTerms.length === 0) {
+    errors.push(`category ${label} needs at least one search term`);
+  }
+
+  if (Array.isArray(category.include)) {
+    category.include
+      .filter(name => typeof name === 'string' && !/^[\w.-]+\/[\w.-]+$/.test(name))
+      .forEach(name => errors.push(`category ${label} include entry "${name}" must be owner/repo`));
+  }
+
+  if (typeof category.color === 'string' && !/^#[0-9a-fA-F]{6}$/.test(category.color)) {
+    errors.push(`category ${label} color must be a hex colour like #4CAF50`);
+  }
+
+  if (checkType(category.search, 'object')) {
+    const { maxPages, split, languages } = category.search;
+    if (maxPages !== undefined && !(Number.isInteger(maxPages) && maxPages > 0)) {
+      errors.push(`category ${label} search.maxPages must be a positive integer`);
+    }
+    if (split !== undefined && !SEARCH_OPTIONS.split.includes(split)) {
+      errors.push(`category ${label} search.split must be one of ${SEARCH_OPTIONS.split.join(', ')}`);
+    }
+    if (languages !== undefined && !SEARCH_OPTIONS.languages.includes(languages)) {
+      errors.push(`category ${label} search.languages must be one of ${SEARCH_OPTIONS.languages.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+function loadCategories(file = process.env.CATEGORIES_FILE || DEFAULT_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load category config ${file}: ${error.message}`);
+  }
+
+  const list = Array.isArray(config) ? config : config && config.categories;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(`Invalid category config ${file}: expected a non-empty "categories" list`);
+  }
+
+  const seen = new Set();
+  const errors = list.flatMap((category, index) => validateCategory(category, index, seen));
+  if (errors.length > 0) {
+    throw new Error(`Invalid category config ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const categories = {};
+  list.forEach(category => {
+    categories[category.id] = category;
+  });
+  return categories;
+}
+
+module.exports = loadCategories();
@@ -2,6 +2,11 @@ const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
 const Helpers = require('./utils/helpers');
+const { scorer } = require('./utils/scoring');
+const PercentileNormalizer = require('./utils/percentiles');
+const IssueHealth = require('./utils/issue-health');
+const ScoreHistory = require('./utils/score-history');
+const { Clock, clock } = require('./utils/clock');
 const categories = require('./config/categories');
 
 class WebsiteGenerator {
@@ -19,6 +24,7 @@ class WebsiteGenerator {
       // Load data
       const repositories = await this.loadRepositories();
       const stats = await this.loadStats();
+      const history = await ScoreHistory.load(path.join(this.dataDir, 'history.json'));
       const categorizedRepos = Helpers.groupByCategory(repositories, categories);
 
       // Ensure output directories
@@ -28,9 +34,9 @@ class WebsiteGenerator {
       await this.copyAssets();
       
       // Generate pages
-      await this.generateHomepage(repositories, stats, categorizedRepos);
+      await this.generateHomepage(repositories, stats, categorizedRepos, history);
       await this.generateCategoryPages(categorizedRepos);
-      await this.generateRepositoryPages(repositories);
+      await this.generateRepositoryPages(repositories, history);
       await this.generateSearchPage(repositories);
       await this.generateAboutPage();
       
@@ -116,7 +122,7 @@ class WebsiteGenerator {
     await this.createFavicon();
   }
 
-  async generateHomepage(repositories, stats, categorizedRepos) {
+  async generateHomepage(repositories, stats, categorizedRepos, history = null) {
     console.log('🏠 Generating homepage...');
     
     const topRepos = repositories.slice(0, 12);
@@ -131,6 +137,7 @@ class WebsiteGenerator {
       .replace('{{TOTAL_STARS}}', Helpers.formatNumber(stats.totalStars || 0))
       .replace('{{AVG_SCORE}}', stats.averageScore || 0)
       .replace('{{TOP_REPOSITORIES}}', topRepoCards)
+      .replace('{{TRENDING}}', this.generateTrending(repositories, history))
       .replace('{{CATEGORY_CARDS}}', categoryCards);
 
     const html = this.renderLayout(layout, {
@@ -153,7 +160,7 @@ class WebsiteGenerator {
       if (categoryData.repositories.length === 0) continue;
       
       const repos = Helpers.sortByScore(categoryData.repositories);
-      const repoCards = repos.map(repo => this.generateRepositoryCard(repo, '../')).join('\n');
+      const repoCards = repos.map(repo => this.generateRepositoryCard(repo, '../', categoryId)).join('\n');
       
       const categoryStats = this.generateCategoryStats(repos);
       
@@ -180,12 +187,7 @@ class WebsiteGenerator {
                 </select>
                 <select id="gradeFilter" class="filter-select">
                   <option value="">All Grades</option>
-                  <option value="A+">A+ Grade</option>
-                  <option value="A">A Grade</option>
-                  <option value="B">B Grade</option>
-                  <option value="C">C Grade</option>
-                  <option value="D">D Grade</option>
-                  <option value="F">F Grade</option>
+                  ${this.generateGradeOptions()}
                 </select>
               </div>
             </div>
@@ -209,13 +211,13 @@ class WebsiteGenerator {
     }
   }
 
-  async generateRepositoryPages(repositories) {
+  async generateRepositoryPages(repositories, history = null) {
     console.log('📄 Generating repository detail pages...');
     
     const layout = await this.loadTemplate('layout.html');
     
     for (const repo of repositories) {
-      const content = this.generateRepositoryDetailContent(repo);
+      const content = this.generateRepositoryDetailContent(repo, history ? history.trend(repo.full_name) : null);
       
       const html = this.renderLayout(layout, {
         title: `${repo.name} - ${repo.owner.login} - Test Automation Resources`,
@@ -272,12 +274,7 @@ class WebsiteGenerator {
                 <label>Quality Grade</label>
                 <select id="gradeFilter">
                   <option value="">All Grades</option>
-                  <option value="A+">A+ Grade</option>
-                  <option value="A">A Grade</option>
-                  <option value="B">B Grade</option>
-                  <option value="C">C Grade</option>
-                  <option value="D">D Grade</option>
-                  <option value="F">F Grade</option>
+                  ${this.generateGradeOptions()}
                 </select>
               </div>
               
@@ -350,44 +347,20 @@ class WebsiteGenerator {
             
             <div class="content-section">
               <h2>📊 Quality Scoring</h2>
-              <p>Each repository is scored on a 100-point scale across six categories:</p>
+              <p>Each repository is scored on a 100-point scale across these dimensions:</p>
               <ul class="scoring-list">
-                <li><strong>Popularity (25 pts):</strong> GitHub stars and forks</li>
-                <li><strong>Activity (20 pts):</strong> Recent commits and releases</li>
-                <li><strong>Documentation (20 pts):</strong> README quality and examples</li>
-                <li><strong>Community (15 pts):</strong> License and contributing guidelines</li>
-                <li><strong>Maintenance (10 pts):</strong> Regular releases</li>
-                <li><strong>Code Quality (10 pts):</strong> Topics, CI/CD, archived status</li>
+                ${scorer.getDimensions().map(dimension => `<li><strong>${dimension.name} (${dimension.share} pts):</strong> ${dimension.description}</li>`).join('\n')}
               </ul>
             </div>
             
             <div class="content-section">
               <h2>🏆 Grading Scale</h2>
               <div class="grade-scale">
+                ${scorer.getGrades().map(grade => `
                 <div class="grade-item">
-                  <span class="grade-badge grade-a-plus">A+</span>
-                  <span>90-100 points - Exceptional quality</span>
-                </div>
-                <div class="grade-item">
-                  <span class="grade-badge grade-a">A</span>
-                  <span>80-89 points - High quality</span>
-                </div>
-                <div class="grade-item">
-                  <span class="grade-badge grade-b">B</span>
-                  <span>70-79 points - Good quality</span>
-                </div>
-                <div class="grade-item">
-                  <span class="grade-badge grade-c">C</span>
-                  <span>60-69 points - Average quality</span>
-                </div>
-                <div class="grade-item">
-                  <span class="grade-badge grade-d">D</span>
-                  <span>50-59 points - Below average</span>
-                </div>
-                <div class="grade-item">
-                  <span class="grade-badge grade-f">F</span>
-                  <span>0-49 points - Poor quality</span>
-                </div>
+                  <span class="grade-badge grade-${grade.grade.toLowerCase().replace('+', '-plus')}">${grade.grade}</span>
+                  <span>${grade.min}-${grade.max} points - ${grade.label}</span>
+                </div>`).join('')}
               </div>
             </div>
             
@@ -460,12 +433,13 @@ class WebsiteGenerator {
       .replace(/{{CSS_PATH}}/g, `${data.basePath}assets/css/style.css`)
       .replace(/{{CATEGORY_LINKS}}/g, categoryLinks)
       .replace(/{{FOOTER_CATEGORY_LINKS}}/g, footerCategoryLinks)
-      .replace(/{{LAST_UPDATED}}/g, Helpers.formatDate(new Date()))
+      .replace(/{{LAST_UPDATED}}/g, Helpers.formatDate(clock.now()))
       .replace(/{{ADDITIONAL_JS}}/g, data.additionalJS || '');
   }
 
-  generateRepositoryCard(repo, basePath = '') {
+  generateRepositoryCard(repo, basePath = '', categoryId = null) {
     const repoUrl = repo.html_url;
+    const percentile = categoryId ? PercentileNormalizer.forCategory(repo, categoryId) : null;
     const detailUrl = `${basePath}repositories/${Helpers.slugify(`${repo.owner.login}-${repo.name}`)}.html`;
     const gradeClass = repo.qualityScore.grade.toLowerCase().replace('+', '-plus');
     
@@ -473,7 +447,7 @@ class WebsiteGenerator {
       repo.topics.slice(0, 5).map(topic => `<span class="topic-tag">${topic}</span>`).join('') : '';
 
     return `
-      <div class="repository-card" data-language="${repo.language || ''}" data-grade="${repo.qualityScore.grade}" data-category="${repo.category || ''}">
+      <div class="repository-card" data-language="${repo.language || ''}" data-grade="${repo.qualityScore.grade}" data-categories="${Helpers.getRepositoryCategories(repo).join(' ')}">
         <div class="repo-header">
           <div class="repo-title">
             <h3><a href="${repoUrl}" target="_blank" rel="noopener">${repo.name}</a></h3>
@@ -485,6 +459,7 @@ class WebsiteGenerator {
           <div class="quality-score">
             <div class="score-badge grade-${gradeClass}">${repo.qualityScore.grade}</div>
             <div class="score-number">${repo.qualityScore.total}/100</div>
+            ${percentile ? `<div class="percentile-badge" title="Percentile within this category">${percentile.grade} in category · top ${Math.max(100 - percentile.total, 1)}%</div>` : ''}
           </div>
         </div>
         
@@ -512,6 +487,8 @@ class WebsiteGenerator {
         
         ${topics ? `<div class="repo-tags">${topics}</div>` : ''}
         
+        ${this.generateCIBadges(repo)}
+        
         <div class="repo-actions">
           <a href="${detailUrl}" class="btn btn-sm btn-outline">View Details</a>
           <a href="${repoUrl}" target="_blank" rel="noopener" class="btn btn-sm btn-primary">
@@ -522,6 +499,18 @@ class WebsiteGenerator {
     `;
   }
 
+  // CI systems as badges, with a tick when the tests run in CI
+  generateCIBadges(repo) {
+    const ciStatus = repo.additionalData && repo.additionalData.ciStatus;
+    if (!ciStatus || !ciStatus.configured) return '';
+
+    const badges = ciStatus.systems.map(system => `<span class="ci-badge" title="${system.path}">${system.name}</span>`);
+    if (ciStatus.runsTests) {
+      badges.push(`<span class="ci-badge ci-tests" title="${Helpers.sanitizeHtml(ciStatus.testCommands.join('\n'))}">✓ Tests in CI</span>`);
+    }
+    return `<div class="ci-badges">${badges.join('')}</div>`;
+  }
+
   generateCategoryCards(categorizedRepos) {
     return Object.entries(categorizedRepos)
       .filter(([_, cat]) => cat.repositories.length > 0)
@@ -532,7 +521,7 @@ class WebsiteGenerator {
         const topGrade = repos.length > 0 ? 
           repos.reduce((best, repo) => repo.qualityScore.total > best.qualityScore.total ? repo : best).qualityScore.grade : 'N/A';
         
-        const languages = categoryData.languages.slice(0, 3)
+        const languages = (categoryData.languages || []).slice(0, 3)
           .map(lang => `<span class="language-tag">${lang}</span>`).join('');
 
         return `
@@ -566,7 +555,7 @@ class WebsiteGenerator {
       }).join('\n');
   }
 
-  generateRepositoryDetailContent(repo) {
+  generateRepositoryDetailContent(repo, trend = null) {
     const gradeClass = repo.qualityScore.grade.toLowerCase().replace('+', '-plus');
     const breakdown = repo.qualityScore.breakdown;
     
@@ -584,7 +573,7 @@ class WebsiteGenerator {
               <div class="score-badge grade-${gradeClass} large">${repo.qualityScore.grade}</div>
               <div class="score-details">
                 <div class="score-number">${repo.qualityScore.total}/100</div>
-                <div class="score-description">${this.getScoreDescription(repo.qualityScore.total)}</div>
+                <div class="score-description">${scorer.getScoreDescription(repo.qualityScore.total)}</div>
               </div>
             </div>
           </div>
@@ -618,6 +607,8 @@ class WebsiteGenerator {
         </div>
       </section>
       
+      ${this.generateTrend(trend)}
+      
       <section class="score-breakdown">
         <div class="container">
           <h2>Quality Score Breakdown</h2>
@@ -630,6 +621,12 @@ class WebsiteGenerator {
         </div>
       </section>
       
+      ${this.generateIssueHealth(repo)}
+      
+      ${this.generateScorecard(repo)}
+      
+      ${this.generateScoreEvidence(repo)}
+      
       <section class="repo-actions-section">
         <div class="container">
           <div class="action-buttons">
@@ -648,25 +645,19 @@ class WebsiteGenerator {
         window.repoData = ${JSON.stringify({
           name: repo.name,
           score: repo.qualityScore.total,
-          breakdown: repo.qualityScore.breakdown
+          dimensions: scorer.getDimensions().map(dimension => ({
+            name: dimension.name,
+            percentage: Math.round(((repo.qualityScore.breakdown[dimension.key] || 0) / dimension.max) * 100)
+          }))
         })};
       </script>
     `;
   }
 
   generateScoreBreakdown(breakdown) {
-    const categories = [
-      { key: 'popularity', name: 'Popularity', max: 25, description: 'GitHub stars and forks' },
-      { key: 'activity', name: 'Activity', max: 20, description: 'Recent commits and releases' },
-      { key: 'documentation', name: 'Documentation', max: 20, description: 'README quality and examples' },
-      { key: 'community', name: 'Community', max: 15, description: 'License and contributing guidelines' },
-      { key: 'maintenance', name: 'Maintenance', max: 10, description: 'Regular releases' },
-      { key: 'codeQuality', name: 'Code Quality', max: 10, description: 'Topics, CI/CD, archived status' }
-    ];
-
-    return categories.map(cat => {
+    return scorer.getDimensions().map(cat => {
       const score = Math.round(breakdown[cat.key] || 0);
-      const percentage = Math.round((score / cat.max) * 100);
+      const percentage = cat.max > 0 ? Math.round((score / cat.max) * 100) : 0;
       
       return `
         <div class="breakdown-item">
@@ -683,13 +674,161 @@ class WebsiteGenerator {
     }).join('\n');
   }
 
-  getScoreDescription(score) {
-    if (score >= 90) return 'Exceptional quality with excellent documentation and active maintenance.';
-    if (score >= 80) return 'High quality repository with good practices.';
-    if (score >= 70) return 'Good quality repository with decent documentation.';
-    if (score >= 60) return 'Average quality repository.';
-    if (score >= 50) return 'Below average quality with room for improvement.';
-    return 'Poor quality repository with significant issues.';
+  generateTrend(trend) {
+    if (!trend) return '';
+
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+    return `
+      <section class="repo-stats-section repo-trend">
+        <div class="container">
+          <h2>Trend</h2>
+          <div class="stats-grid">
+            <div class="stat-card">
+              <div class="stat-value">${Helpers.sparkline(trend.scores, { label: 'Quality score' })}</div>
+              <div class="stat-label">Quality Score (${signed(trend.scoreDelta)} over ${trend.points} scans)</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${Helpers.sparkline(trend.stars, { label: 'Stars' })}</div>
+              <div class="stat-label">Stars (${signed(trend.starDelta)}${trend.starVelocity !== null ? `, ${trend.starVelocity}/week` : ''})</div>
+            </div>
+          </div>
+          <p class="trend-note">Since ${Helpers.formatDate(trend.since)}</p>
+        </div>
+      </section>
+    `;
+  }
+
+  generateTrending(repositories, history) {
+    const { rising, declining } = history ? history.movers(repositories) : { rising: [], declining: [] };
+    if (rising.length === 0 && declining.length === 0) return '';
+
+    const list = (items, direction) => items.length > 0 ? items.map(({ repo, trend }) => `
+              <li>
+                <a href="repositories/${Helpers.slugify(`${repo.owner.login}-${repo.name}`)}.html">${repo.name}</a>
+                ${Helpers.sparkline(trend.scores, { width: 80, height: 24, label: 'Quality score' })}
+                <span class="trend-delta ${direction}">${trend.scoreDelta > 0 ? '+' : ''}${trend.scoreDelta}</span>
+              </li>`).join('') : '<li class="trend-empty">Nothing yet</li>';
+
+    return `
+      <section id="trending" class="trending-section">
+        <div class="container">
+          <h2 class="section-title">📈 Trending</h2>
+          <div class="trending-grid">
+            <div class="trending-list">
+              <h3>Rising</h3>
+              <ol>${list(rising, 'up')}</ol>
+            </div>
+            <div class="trending-list">
+              <h3>Declining</h3>
+              <ol>${list(declining, 'down')}</ol>
+            </div>
+          </div>
+        </div>
+      </section>
+    `;
+  }
+
+  generateIssueHealth(repo) {
+    const health = repo.additionalData && repo.additionalData.issueHealth;
+    if (!health || health.sampled === 0) return '';
+
+    const duration = hours => hours !== null ? Helpers.formatDuration(hours) : 'n/a';
+    const cards = [
+      { icon: '💬', value: duration(health.medianFirstResponseHours), label: 'Median First Response' },
+      { icon: '✅', value: duration(health.medianCloseDays !== null ? health.medianCloseDays * 24 : null), label: 'Median Time to Close' },
+      { icon: '⚖️', value: `${health.open} / ${health.closed}`, label: 'Open / Closed' },
+      { icon: '🕸️', value: `${health.staleIssues}${health.staleCapped ? '+' : ''}`, label: `Stale Issues (${IssueHealth.staleDays}+ days)` }
+    ];
+
+    return `
+      <section class="repo-stats-section issue-health">
+        <div class="container">
+          <h2>Issue &amp; PR Health</h2>
+          <div class="stats-grid">
+            ${cards.map(card => `
+            <div class="stat-card">
+              <div class="stat-icon">${card.icon}</div>
+              <div class="stat-value">${card.value}</div>
+              <div class="stat-label">${card.label}</div>
+            </div>`).join('')}
+          </div>
+          <p class="issue-health-note">Based on the last ${health.sampled} issues and pull requests.</p>
+        </div>
+      </section>
+    `;
+  }
+
+  // Scorecard-style checks; informational only, they do not change the grade
+  generateScorecard(repo) {
+    const scorecard = repo.additionalData && repo.additionalData.scorecard;
+    if (!scorecard) return '';
+
+    const rows = scorecard.checks.map(check => {
+      const status = check.score === null ? 'unknown' : check.score >= 10 ? 'full' : check.score > 0 ? 'partial' : 'none';
+      const details = check.details.length > 0
+        ? `<span class="scorecard-details">${check.details.map(detail => Helpers.sanitizeHtml(detail)).join('<br>')}</span>`
+        : '';
+      return `
+            <li class="evidence-${status}">
+              <span>${check.name}: ${Helpers.sanitizeHtml(check.reason)}${details}</span>
+              <span class="evidence-points">${check.score !== null ? `${check.score}/10` : '?'}</span>
+            </li>`;
+    }).join('');
+
+    return `
+      <section class="why-grade scorecard">
+        <div class="container">
+          <h2>Scorecard Checks${scorecard.score !== null ? ` <span class="scorecard-score">${scorecard.score}/10</span>` : ''}</h2>
+          <div class="evidence-group">
+            <ul>${rows}
+            </ul>
+          </div>
+          <p class="issue-health-note">A local subset of the OpenSSF Scorecard checks, computed from the repository's workflow and license files.</p>
+        </div>
+      </section>
+    `;
+  }
+
+  generateScoreEvidence(repo) {
+    const evidence = repo.qualityScore.evidence;
+    if (!evidence || evidence.length === 0) return '';
+
+    const groups = scorer.getDimensions().map(dimension => {
+      const items = evidence.filter(item => item.dimension === dimension.key);
+      if (items.length === 0) return '';
+
+      const rows = items.map(item => {
+        const status = item.points >= item.max ? 'full' : item.points > 0 ? 'partial' : 'none';
+        return `
+            <li class="evidence-${status}">
+              <span>${Helpers.sanitizeHtml(item.label)}</span>
+              <span class="evidence-points">${item.points}/${item.max}</span>
+            </li>`;
+      }).join('');
+
+      return `
+          <div class="evidence-group">
+            <h3>${dimension.name}</h3>
+            <ul>${rows}
+            </ul>
+          </div>`;
+    }).join('');
+
+    return `
+      <section class="why-grade">
+        <div class="container">
+          <h2>Why this grade</h2>
+          <p>${scorer.getScoreDescription(repo.qualityScore.total)}</p>
+          ${groups}
+        </div>
+      </section>
+    `;
+  }
+
+  generateGradeOptions() {
+    return scorer.getGrades()
+      .map(grade => `<option value="${grade.grade}">${grade.grade} Grade</option>`)
+      .join('\n');
   }
 
   generateLanguageOptions(repositories) {
@@ -967,6 +1106,105 @@ body {
   margin-top: 0.25rem;
 }
 
+.percentile-badge {
+  font-size: 0.7rem;
+  color: #6b7280;
+  margin-top: 0.25rem;
+}
+
+.ci-badges {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.25rem;
+  margin-bottom: 0.75rem;
+}
+
+.ci-badge {
+  font-size: 0.7rem;
+  padding: 0.125rem 0.5rem;
+  border-radius: 9999px;
+  background: #f3f4f6;
+  color: #374151;
+}
+
+.ci-badge.ci-tests {
+  background: #dcfce7;
+  color: #166534;
+}
+
+.issue-health-note,
+.trend-note {
+  font-size: 0.875rem;
+  color: #6b7280;
+}
+
+.sparkline {
+  color: #3b82f6;
+  vertical-align: middle;
+}
+
+.trending-grid {
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+  gap: 2rem;
+}
+
+.trending-list li {
+  display: flex;
+  align-items: center;
+  gap: 0.75rem;
+  padding: 0.5rem 0;
+}
+
+.trending-list li a {
+  flex: 1;
+}
+
+.trend-delta.up { color: #16a34a; }
+.trend-delta.down { color: #dc2626; }
+
+.why-grade {
+  margin: 2rem 0;
+}
+
+.evidence-group ul {
+  list-style: none;
+  padding: 0;
+  margin: 0 0 1.5rem;
+}
+
+.evidence-group li {
+  display: flex;
+  justify-content: space-between;
+  gap: 1rem;
+  padding: 0.5rem 0.75rem;
+  border-left: 3px solid #9ca3af;
+  margin-bottom: 0.25rem;
+  font-size: 0.875rem;
+}
+
+.evidence-group li.evidence-full { border-left-color: #22c55e; }
+.evidence-group li.evidence-partial { border-left-color: #f59e0b; }
+.evidence-group li.evidence-none { border-left-color: #ef4444; }
+
+.evidence-points {
+  font-weight: 600;
+  white-space: nowrap;
+}
+
+.scorecard-details {
+  display: block;
+  color: #6b7280;
+  font-size: 0.8rem;
+  margin-top: 0.25rem;
+  word-break: break-all;
+}
+
+.scorecard-score {
+  font-size: 1rem;
+  color: #6b7280;
+}
+
 .repo-description {
   color: #6b7280;
   margin-bottom: 1rem;
@@ -1206,7 +1444,7 @@ function initSearch() {
                 repo.description?.toLowerCase().includes(searchTerm) ||
                 repo.owner.login.toLowerCase().includes(searchTerm);
                 
-            const matchesCategory = !categoryFilter || repo.category === categoryFilter;
+            const matchesCategory = !categoryFilter || (repo.categories || [repo.category]).includes(categoryFilter);
             const matchesLanguage = !languageFilter || repo.language === languageFilter;
             const matchesGrade = !gradeFilter || repo.qualityScore.grade === gradeFilter;
             
@@ -1315,22 +1553,15 @@ function createGradeChart() {
 
 function createScoreChart() {
     const ctx = document.getElementById('scoreChart').getContext('2d');
-    const breakdown = window.repoData.breakdown;
+    const dimensions = window.repoData.dimensions;
     
     new Chart(ctx, {
         type: 'radar',
         data: {
-            labels: ['Popularity', 'Activity', 'Documentation', 'Community', 'Maintenance', 'Code Quality'],
+            labels: dimensions.map(dimension => dimension.name),
             datasets: [{
-                label: 'Score',
-                data: [
-                    breakdown.popularity,
-                    breakdown.activity,
-                    breakdown.documentation,
-                    breakdown.community,
-                    breakdown.maintenance,
-                    breakdown.codeQuality
-                ],
+                label: 'Score (%)',
+                data: dimensions.map(dimension => dimension.percentage),
                 backgroundColor: 'rgba(102, 126, 234, 0.2)',
                 borderColor: '#667eea',
                 pointBackgroundColor: '#667eea'
@@ -1341,7 +1572,7 @@ function createScoreChart() {
             scales: {
                 r: {
                     beginAtZero: true,
-                    max: 25
+                    max: 100
                 }
             }
         }
@@ -1485,7 +1716,7 @@ function initSearchPage() {
                 (repo.description && repo.description.toLowerCase().includes(searchTerm)) ||
                 repo.owner.login.toLowerCase().includes(searchTerm);
                 
-            const matchesCategory = !categoryFilter || repo.category === categoryFilter;
+            const matchesCategory = !categoryFilter || (repo.categories || [repo.category]).includes(categoryFilter);
             const matchesLanguage = !languageFilter || repo.language === languageFilter;
             const matchesGrade = !gradeFilter || repo.qualityScore.grade === gradeFilter;
             
@@ -1592,6 +1823,8 @@ function initSearchPage() {
 
 // Run generator if called directly
 if (require.main === module) {
+  // --as-of YYYY-MM-DD renders relative dates as of that day
+  clock.setAsOf(Clock.asOfArgument());
   const generator = new WebsiteGenerator();
   generator.generate().catch(console.error);
 }
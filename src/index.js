@@ -36,7 +36,7 @@ class TestAutomationResourcesApp {
   }
 
   validateEnvironment() {
-    if (!process.env.GITHUB_TOKEN) {
+    if (!process.env.GITHUB_TOKEN && process.env.GITHUB_FIXTURES_MODE !== 'replay') {
       throw new Error('GITHUB_TOKEN environment variable is required');
     }
     
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Rescoring - Rebuilds every qualityScore in data/repositories.json
+ * from the scoring inputs saved by the scanners, without calling GitHub
+ *
+ * Each repository is scored as of its own scan, so only scoring changes move
+ * scores; --as-of YYYY-MM-DD scores every repository as of that day instead.
+ * --data-dir rescores another data directory, e.g. the legacy scanner's dist/data.
+ */
+
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const ScoringInputs = require('./utils/scoring-inputs');
+const PercentileNormalizer = require('./utils/percentiles');
+const { QualityScorer } = require('./utils/scoring');
+const { Clock } = require('./utils/clock');
+
+class Rescorer {
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+    this.repositoriesFile = path.join(this.dataDir, 'repositories.json');
+    this.scoringInputs = new ScoringInputs(path.join(this.dataDir, 'scoring-inputs'));
+    this.normalizer = PercentileNormalizer.fromEnv();
+    this.asOf = options.asOf || null;
+    this.clock = new Clock(this.asOf); // Rejects a bad --as-of before any data is touched
+    this.scorer = new QualityScorer(QualityScorer.loadModel(), { clock: this.clock });
+  }
+
+  // Rescored copy of a repository, or null when it has no saved inputs
+  async rescoreRepository(repo) {
+    const inputs = await this.scoringInputs.load(repo.full_name);
+    if (!inputs) return null;
+
+    this.clock.setAsOf(this.asOf || repo.scannedAt || null);
+    const { analyses, scoringData } = ScoringInputs.analyze(repo, inputs, this.clock.now());
+    return {
+      ...repo,
+      qualityScore: this.scorer.calculateScore(repo, scoringData),
+      additionalData: { ...repo.additionalData, ...analyses }
+    };
+  }
+
+  async run() {
+    console.log('🧮 Starting Offline Rescoring...\n');
+    console.log(this.asOf ? `🕰️  Scoring as of ${this.asOf}` : '🕰️  Scoring each repository as of its last scan');
+
+    // Keyed by full name (staged scanner) or a plain array (legacy scanner)
+    const repositories = await fs.readJSON(this.repositoriesFile).catch(() => ({}));
+    const stats = { rescored: 0, skipped: 0, gradeChanges: 0 };
+
+    for (const [key, repo] of Object.entries(repositories)) {
+      const rescored = await this.rescoreRepository(repo);
+      if (!rescored) {
+        stats.skipped++;
+        continue;
+      }
+
+      const before = repo.qualityScore || {};
+      if (before.grade !== rescored.qualityScore.grade) {
+        console.log(`  🔁 ${repo.full_name}: ${before.total ?? '-'} (${before.grade || '-'}) → ${rescored.qualityScore.total} (${rescored.qualityScore.grade})`);
+        stats.gradeChanges++;
+      }
+      repositories[key] = rescored;
+      stats.rescored++;
+    }
+
+    // Percentiles depend on every score, so rank again
+    this.normalizer.normalize(Object.values(repositories));
+
+    const tmpFile = `${this.repositoriesFile}.tmp`;
+    await fs.writeJSON(tmpFile, repositories, { spaces: 2 });
+    await fs.move(tmpFile, this.repositoriesFile, { overwrite: true });
+
+    console.log(`\n✅ Rescored ${stats.rescored} repositories (${stats.gradeChanges} grade changes)`);
+    if (stats.skipped > 0) {
+      console.log(`⚠️  ${stats.skipped} repositories have no saved scoring inputs and kept their scores; they are rescored after their next scan`);
+    }
+    return stats;
+  }
+
+  static dataDirArgument(argv = process.argv) {
+    const index = argv.findIndex(arg => arg === '--data-dir' || arg.startsWith('--data-dir='));
+    if (index < 0) return null;
+
+    const value = argv[index] === '--data-dir' ? argv[index + 1] : argv[index].slice('--data-dir='.length);
+    if (!value) throw new Error('--data-dir needs a directory, e.g. --data-dir dist/data');
+    return path.resolve(value);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  const rescorer = new Rescorer({ asOf: Clock.asOfArgument(), dataDir: Rescorer.dataDirArgument() });
+
+  rescorer.run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Rescoring failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = Rescorer;
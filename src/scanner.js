@@ -1,10 +1,18 @@
 require('dotenv').config();
 const GitHubAPI = require('./utils/github');
+const Enricher = require('./utils/enrichment');
+const WorkerPool = require('./utils/worker-pool');
+const SearchPlanner = require('./utils/search-planner');
+const ExclusionRules = require('./utils/exclusion-rules');
+const CategoryClassifier = require('./utils/classifier');
+const ScoringInputs = require('./utils/scoring-inputs');
+const PercentileNormalizer = require('./utils/percentiles');
+const ScoreHistory = require('./utils/score-history');
 const { calculateQualityScore } = require('./utils/scoring');
 const Helpers = require('./utils/helpers');
 const categories = require('./config/categories');
 const path = require('path');
-const moment = require('moment');
+const { clock } = require('./utils/clock');
 
 class RepositoryScanner {
   constructor() {
@@ -12,6 +20,7 @@ class RepositoryScanner {
     this.minStars = parseInt(process.env.MIN_STARS) || 10;
     this.maxAgeMonths = parseInt(process.env.MAX_AGE_MONTHS) || 18;
     this.outputDir = process.env.OUTPUT_DIR || 'dist';
+    this.scoringInputs = new ScoringInputs(path.join(this.outputDir, 'data', 'scoring-inputs'));
     
     // Scanning limits to prevent infinite loops
     this.maxReposPerSearch = parseInt(process.env.MAX_REPOS_PER_SEARCH) || 10;
@@ -19,6 +28,32 @@ class RepositoryScanner {
     this.maxTotalRepos = parseInt(process.env.MAX_TOTAL_REPOS) || 300;
     this.searchTimeoutMinutes = parseInt(process.env.SEARCH_TIMEOUT_MINUTES) || 30;
     
+    // Repositories enriched in parallel (ENRICHMENT_CONCURRENCY)
+    this.enrichmentPool = WorkerPool.fromEnv();
+    
+    // Pagination depth and query splitting (SEARCH_MAX_PAGES, SEARCH_SPLIT)
+    this.searchPlanner = SearchPlanner.fromEnv();
+    
+    // Validity filters plus denylist/pattern rules (src/config/exclusions.json)
+    this.exclusionRules = ExclusionRules.fromConfig({
+      minStars: this.minStars,
+      maxAgeMonths: this.maxAgeMonths,
+      categories: Object.values(categories)
+    });
+    
+    // Category classifier (CLASSIFIER_MODE=off|suggest|assign)
+    this.classifier = CategoryClassifier.fromEnv(categories);
+    
+    // Enrichment inputs over REST or GraphQL (ENRICHMENT_BACKEND=rest|graphql)
+    this.enricher = new Enricher(this.github, {
+      backend: process.env.ENRICHMENT_BACKEND,
+      classifier: this.classifier,
+      pool: this.enrichmentPool
+    });
+    
+    // Category-relative percentiles (SCORE_NORMALIZATION=percentile)
+    this.normalizer = PercentileNormalizer.fromEnv();
+    
     this.repositories = [];
     this.startTime = Date.now();
   }
@@ -48,6 +83,11 @@ class RepositoryScanner {
     }
 
     console.log('✅ Scan complete! Found ' + this.repositories.length + ' repositories in ' + ((Date.now() - this.startTime) / 1000 / 60).toFixed(1) + ' minutes');
+    
+    const cacheStats = this.github.getCacheStats();
+    if (cacheStats) {
+      console.log('💾 Response cache: ' + cacheStats.hits + ' hits, ' + cacheStats.misses + ' misses (' + cacheStats.hitRate + '% hit rate)');
+    }
     return this.repositories;
   }
 
@@ -60,117 +100,156 @@ class RepositoryScanner {
     console.log('📁 Scanning category: ' + category.name);
     const repositories = [];
     
-    // Search with different term combinations
-    for (const searchTerm of category.searchTerms) {
-      // Check timeout and limits
-      if (this.isTimeoutReached()) {
-        console.log('  ⏰ Timeout reached, stopping category scan');
-        break;
-      }
-      
-      if (repositories.length >= this.maxReposPerCategory) {
-        console.log('  📊 Category limit reached (' + this.maxReposPerCategory + '), stopping category scan');
-        break;
-      }
-      
-      if (this.repositories.length >= this.maxTotalRepos) {
-        console.log('  📊 Total limit reached (' + this.maxTotalRepos + '), stopping category scan');
-        break;
-      }
+    // Search terms, split into star/date slices and paginated (see utils/search-planner.js)
+    const planner = this.searchPlanner.forCategory(category);
+    const plan = planner.buildPlan(category, {
+      minStars: this.minStars,
+      pushed: clock.now().subtract(this.maxAgeMonths, 'months').format('YYYY-MM-DD'),
+      archived: false,
+      fork: false
+    });
+    
+    // Allowlisted repositories are always included, ahead of any search results
+    await this.enricher.includeAllowlist(category, repositories, (repo, prefetched) => this.enrichRepository(repo, categoryId, prefetched));
+    
+    for (const entry of plan) {
+      for (let page = 1; ; page++) {
+        // Check timeout and limits
+        if (this.isTimeoutReached()) {
+          console.log('  ⏰ Timeout reached, stopping category scan');
+          break;
+        }
+        
+        if (repositories.length >= this.maxReposPerCategory) {
+          console.log('  📊 Category limit reached (' + this.maxReposPerCategory + '), stopping category scan');
+          break;
+        }
+        
+        if (this.repositories.length >= this.maxTotalRepos) {
+          console.log('  📊 Total limit reached (' + this.maxTotalRepos + '), stopping category scan');
+          break;
+        }
 
-      try {
-        const query = this.github.buildSearchQuery([searchTerm], {
-          minStars: this.minStars,
-          pushed: moment().subtract(this.maxAgeMonths, 'months').format('YYYY-MM-DD'),
-          archived: false,
-          fork: false
-        });
+        try {
+          const query = this.github.buildSearchQuery(entry.searchTerm ? [entry.searchTerm] : [], entry.filters);
 
-        console.log('  🔍 Searching: "' + searchTerm + '"');
-        
-        const results = await this.github.searchRepositories(query, {
-          perPage: this.maxReposPerSearch,
-          sort: 'stars',
-          order: 'desc'
-        });
-
-        for (const repo of results.items) {
-          if (repositories.length >= this.maxReposPerCategory) break;
-          if (this.repositories.length >= this.maxTotalRepos) break;
+          console.log('  🔍 Searching: ' + entry.label + (page > 1 ? ' (page ' + page + ')' : ''));
           
-          if (this.isValidRepository(repo)) {
-            const enrichedRepo = await this.enrichRepository(repo, categoryId);
-            if (enrichedRepo) {
-              repositories.push(enrichedRepo);
-            }
+          const results = await this.github.searchRepositories(query, {
+            page,
+            perPage: this.maxReposPerSearch,
+            sort: 'stars',
+            order: 'desc'
+          });
+
+          if (page === 1 && planner.isCapped(results)) {
+            console.log('  ℹ️  ' + results.total_count + ' matches exceed the 1000-result cap; set SEARCH_SPLIT to reach more');
           }
-        }
 
-        // Rate limiting
-        await Helpers.wait(parseInt(process.env.RATE_LIMIT_DELAY) || 2000);
-        
-      } catch (error) {
-        console.error('  ❌ Error searching "' + searchTerm + '":', error.message);
-        continue;
+          // Tag repositories already found by an earlier query with this one too
+          results.items.forEach(repo => {
+            const existing = repositories.find(r => r.full_name === repo.full_name);
+            if (existing) Enricher.recordDiscovery(existing, entry.source);
+          });
+
+          const remaining = Math.min(
+            this.maxReposPerCategory - repositories.length,
+            this.maxTotalRepos - this.repositories.length
+          );
+          const candidates = results.items
+            .filter(repo => !repositories.find(r => r.full_name === repo.full_name))
+            .filter(repo => !this.exclusionRules.exclude(repo, category))
+            .slice(0, Math.max(remaining, 0));
+          const prefetched = await this.enricher.prefetch(candidates);
+
+          const enrichedRepos = await this.enrichmentPool.map(candidates, repo =>
+            this.enrichRepository(repo, categoryId, prefetched.get(repo.full_name))
+          );
+          enrichedRepos
+            .filter(repo => repo && !this.exclusionRules.exclude(repo, category))
+            .forEach(repo => {
+              Enricher.recordDiscovery(repo, entry.source);
+              repositories.push(repo);
+            });
+
+          if (!planner.hasMorePages(results, page, this.maxReposPerSearch)) break;
+          
+        } catch (error) {
+          console.error('  ❌ Error searching ' + entry.label + ':', error.message);
+          break;
+        }
       }
+      
+      if (this.isTimeoutReached()) break;
+      if (repositories.length >= this.maxReposPerCategory || this.repositories.length >= this.maxTotalRepos) break;
     }
 
     console.log('  📊 Found ' + repositories.length + ' repositories in ' + category.name);
-    this.repositories.push(...repositories);
+
+    // A repository found by several categories is kept once, with all of them
+    repositories.forEach(repo => {
+      const index = this.repositories.findIndex(r => r.full_name === repo.full_name);
+      const membership = index >= 0 ? Helpers.getMembership(this.repositories[index]) : {};
+      membership[categoryId] = Helpers.calculateCategoryRelevance(repo, category);
+      this.classifier.applyToMembership(membership, repo.classification);
+
+      const merged = Helpers.applyCategoryMembership(repo, membership);
+      if (index >= 0) {
+        this.repositories[index] = merged;
+      } else {
+        this.repositories.push(merged);
+      }
+    });
   }
 
-  async enrichRepository(repo, categoryId) {
+  async enrichRepository(repo, categoryId, prefetched = null) {
     try {
       console.log('    📝 Enriching: ' + repo.full_name);
       
       const repoInfo = Helpers.extractRepoInfo(repo.html_url);
       if (!repoInfo) return null;
 
-      // Get additional data for scoring
-      const [readme, releases, commits, contributors] = await Promise.all([
-        this.github.getRepositoryContents(repoInfo.owner, repoInfo.repo, 'README.md'),
-        this.github.getRepositoryReleases(repoInfo.owner, repoInfo.repo),
-        this.github.getRepositoryCommits(repoInfo.owner, repoInfo.repo, moment().subtract(3, 'months').toISOString()),
-        this.github.getRepositoryContributors(repoInfo.owner, repoInfo.repo)
-      ]);
-
-      // Check for additional files
-      const [license, contributing, hasCI] = await Promise.all([
-        this.checkForFile(repoInfo.owner, repoInfo.repo, 'LICENSE'),
-        this.checkForFile(repoInfo.owner, repoInfo.repo, 'CONTRIBUTING.md'),
-        this.checkForCI(repoInfo.owner, repoInfo.repo)
-      ]);
-
-      // Calculate quality score
-      const additionalData = {
-        readme,
-        releases,
-        commits,
-        contributors,
-        hasLicense: !!license,
-        hasContributing: !!contributing,
-        hasWiki: repo.has_wiki,
-        hasCI
-      };
+      const inputs = prefetched || await this.enricher.fetchInputs(repoInfo.owner, repoInfo.repo, repo.language);
+      const { readme, releases, commits, contributors, license, contributing } = inputs;
+
+      // README, contributor, issue, security and CI analyses, then the quality score
+      const { analyses, scoringData } = ScoringInputs.analyze(repo, inputs);
+      const { readmeAnalysis, contributorMetrics, issueHealth, securityPosture, scorecard, ciStatus } = analyses;
+      const qualityScore = calculateQualityScore(repo, scoringData);
+
+      // Keep the raw inputs so `npm run rescore` can rebuild the score offline
+      await this.scoringInputs.save(repo.full_name, inputs)
+        .catch(error => console.error('    ⚠️  Could not save scoring inputs for ' + repo.full_name + ':', error.message));
+      const readmeText = readme ? Buffer.from(readme.content, 'base64').toString() : '';
 
-      const qualityScore = calculateQualityScore(repo, additionalData);
+      // Category suggestion from topics, description, README and manifests
+      const classification = this.classifier.enabled
+        ? this.classifier.classify(repo, { readme: readmeText, manifests: inputs.manifests }, categoryId)
+        : null;
 
       // Enrich repository data
       const enrichedRepo = {
         ...repo,
         category: categoryId,
         qualityScore,
+        classification,
         additionalData: {
           recentCommits: commits ? commits.length : 0,
           totalReleases: releases ? releases.length : 0,
           contributors: contributors ? contributors.length : 0,
           hasLicense: !!license,
           hasContributing: !!contributing,
-          hasCI,
+          hasCI: scoringData.hasCI,
           lastRelease: releases && releases.length > 0 ? releases[0] : null,
-          readmeLength: readme ? Buffer.from(readme.content, 'base64').toString().length : 0
+          readmeLength: readmeText.length,
+          readmeAnalysis,
+          contributorMetrics,
+          issueHealth,
+          securityPosture,
+          scorecard,
+          ciStatus
         },
-        scannedAt: moment().toISOString()
+        scannedAt: clock.now().toISOString()
       };
 
       return enrichedRepo;
@@ -181,48 +260,6 @@ class RepositoryScanner {
     }
   }
 
-  async checkForFile(owner, repo, filename) {
-    try {
-      const content = await this.github.getRepositoryContents(owner, repo, filename);
-      return content;
-    } catch (error) {
-      return null;
-    }
-  }
-
-  async checkForCI(owner, repo) {
-    try {
-      // Check for common CI/CD files
-      const ciFiles = [
-        '.github/workflows',
-        '.travis.yml',
-        'circle.yml',
-        '.circleci/config.yml',
-        'Jenkinsfile',
-        '.gitlab-ci.yml'
-      ];
-
-      for (const file of ciFiles) {
-        const exists = await this.github.getRepositoryContents(owner, repo, file);
-        if (exists) return true;
-      }
-
-      return false;
-    } catch (error) {
-      return false;
-    }
-  }
-
-  isValidRepository(repo) {
-    // Filter criteria
-    if (repo.archived) return false;
-    if (repo.fork && repo.stargazers_count < this.minStars * 2) return false;
-    if (repo.stargazers_count < this.minStars) return false;
-    if (!this.github.isRepositoryActive(repo, this.maxAgeMonths)) return false;
-    
-    return true;
-  }
-
   removeDuplicates(repositories) {
     const seen = new Set();
     return repositories.filter(repo => {
@@ -238,6 +275,9 @@ class RepositoryScanner {
     const dataDir = path.join(this.outputDir, 'data');
     await Helpers.ensureDirectory(dataDir);
 
+    // Rank repositories within their categories
+    this.normalizer.normalize(this.repositories);
+
     // Save full repository data
     const reposFile = path.join(dataDir, 'repositories.json');
     await Helpers.writeJsonFile(reposFile, this.repositories);
@@ -252,6 +292,19 @@ class RepositoryScanner {
     const categoriesFile = path.join(dataDir, 'categories.json');
     await Helpers.writeJsonFile(categoriesFile, categorized);
 
+    // Append to the score history; a full scan is a cycle of its own, keyed by date
+    const history = await ScoreHistory.load(path.join(dataDir, 'history.json'));
+    const recorded = history.record(this.repositories, clock.now().format('YYYY-MM-DD'));
+    await history.save();
+    console.log('📈 Recorded ' + recorded + ' history entries');
+
+    // Drop saved scoring inputs of repositories no longer in the dataset
+    await this.scoringInputs.prune(this.repositories.map(repo => repo.full_name));
+
+    // Save what the exclusion rules left out and why
+    const exclusions = await this.exclusionRules.writeReport(path.join(dataDir, 'exclusions-report.json'));
+    console.log('🚫 Excluded ' + exclusions.total + ' repositories');
+
     console.log('💾 Results saved to ' + dataDir + '/');
   }
 }
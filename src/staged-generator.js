@@ -11,12 +11,18 @@ const path = require('path');
 const moment = require('moment');
 const categories = require('./config/categories');
 const Helpers = require('./utils/helpers');
+const { scorer } = require('./utils/scoring');
+const PercentileNormalizer = require('./utils/percentiles');
+const IssueHealth = require('./utils/issue-health');
+const ScoreHistory = require('./utils/score-history');
+const { Clock, clock } = require('./utils/clock');
 
 class StagedGenerator {
   constructor() {
     this.dataDir = path.join(__dirname, '..', 'data');
     this.repositoriesFile = path.join(this.dataDir, 'repositories.json');
     this.statusFile = path.join(this.dataDir, 'scan-status.json');
+    this.historyFile = path.join(this.dataDir, 'history.json');
     this.distDir = path.join(__dirname, '..', 'dist');
     this.assetsDir = path.join(__dirname, '..', 'assets');
   }
@@ -28,8 +34,9 @@ class StagedGenerator {
       currentCycle: 1,
       lastScanTime: null
     }));
+    const history = await ScoreHistory.load(this.historyFile);
     
-    return { repositories, scanStatus };
+    return { repositories, scanStatus, history };
   }
 
   async ensureDirectories() {
@@ -52,15 +59,182 @@ class StagedGenerator {
       byCategory[categoryKey] = [];
     });
     
+    // A repository appears on every category page it belongs to
     Object.values(repositories).forEach(repo => {
-      if (repo.category && byCategory[repo.category]) {
-        byCategory[repo.category].push(repo);
-      }
+      Helpers.getRepositoryCategories(repo)
+        .filter(categoryKey => byCategory[categoryKey])
+        .forEach(categoryKey => byCategory[categoryKey].push(repo));
     });
     
     return byCategory;
   }
 
+  getCategoryTags(repo) {
+    return Helpers.getRepositoryCategories(repo)
+      .filter(categoryKey => categories[categoryKey])
+      .map(categoryKey => `<span class="category-tag" title="Relevance: ${Helpers.getCategoryRelevance(repo, categoryKey)}/100">${categories[categoryKey].name}</span>`)
+      .join(' ');
+  }
+
+  // Standing within a category, when percentile normalisation is enabled
+  getPercentileBadge(repo, categoryKey) {
+    const percentile = PercentileNormalizer.forCategory(repo, categoryKey);
+    if (!percentile) return '';
+
+    const dimensions = scorer.getDimensions()
+      .filter(dimension => percentile.dimensions[dimension.key] !== undefined)
+      .map(dimension => `${dimension.name}: ahead of ${percentile.dimensions[dimension.key]}% of the category`)
+      .join('\n');
+    return `<span class="percentile-badge" title="${dimensions}">${percentile.grade} in category · top ${Math.max(100 - percentile.total, 1)}% of ${percentile.groupSize}</span>`;
+  }
+
+  // CI systems as badges, with a tick when the tests run in CI
+  getCIBadges(repo) {
+    const ciStatus = repo.additionalData?.ciStatus;
+    if (!ciStatus || !ciStatus.configured) return '';
+
+    const tests = ciStatus.runsTests
+      ? `<span class="ci-badge ci-tests" title="${Helpers.sanitizeHtml(ciStatus.testCommands.join('\n'))}">✓ Tests in CI</span>`
+      : '';
+    return `<div class="ci-badges">${ciStatus.systems.map(system => `<span class="ci-badge" title="${system.path}">${system.name}</span>`).join('')}${tests}</div>`;
+  }
+
+  // Score and star sparklines from the scan history
+  getTrend(trend) {
+    if (!trend) return '';
+
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+    return `
+                <div class="repo-trend">
+                    <h3>Trend</h3>
+                    <div class="score-grid">
+                        <div class="score-item">
+                            <span class="score-label">Quality score</span>
+                            ${Helpers.sparkline(trend.scores, { label: 'Quality score' })}
+                            <span class="score-value">${signed(trend.scoreDelta)} over ${trend.points} scans</span>
+                        </div>
+                        <div class="score-item">
+                            <span class="score-label">Stars</span>
+                            ${Helpers.sparkline(trend.stars, { label: 'Stars' })}
+                            <span class="score-value">${signed(trend.starDelta)}${trend.starVelocity !== null ? ` (${trend.starVelocity}/week)` : ''}</span>
+                        </div>
+                    </div>
+                    <p class="trend-note">Since ${Helpers.formatDate(trend.since)}</p>
+                </div>`;
+  }
+
+  // Rising and declining lists for the homepage
+  getTrendingSection(repositories, history) {
+    if (!history) return '';
+
+    const { rising, declining } = history.movers(Object.values(repositories));
+    if (rising.length === 0 && declining.length === 0) return '';
+
+    const list = (items, direction) => items.length > 0 ? items.map(({ repo, trend }) => `
+                        <li>
+                            <a href="repositories/${Helpers.slugify(repo.full_name)}.html">${repo.name}</a>
+                            ${Helpers.sparkline(trend.scores, { width: 80, height: 24, label: 'Quality score' })}
+                            <span class="trend-delta ${direction}">${trend.scoreDelta > 0 ? '+' : ''}${trend.scoreDelta}</span>
+                        </li>`).join('') : '<li class="trend-empty">Nothing yet</li>';
+
+    return `
+        <section id="trending" class="trending-section">
+            <div class="container">
+                <h2>📈 Trending</h2>
+                <div class="trending-grid">
+                    <div class="trending-list">
+                        <h3>Rising</h3>
+                        <ol>${list(rising, 'up')}</ol>
+                    </div>
+                    <div class="trending-list">
+                        <h3>Declining</h3>
+                        <ol>${list(declining, 'down')}</ol>
+                    </div>
+                </div>
+            </div>
+        </section>`;
+  }
+
+  // Issue and PR health numbers gathered during enrichment
+  getIssueHealth(repo) {
+    const health = repo.additionalData?.issueHealth;
+    if (!health || health.sampled === 0) return '';
+
+    const duration = hours => hours !== null ? Helpers.formatDuration(hours) : 'n/a';
+    return `
+                <div class="issue-health">
+                    <h3>Issue &amp; PR Health</h3>
+                    <div class="score-grid">
+                        <div class="score-item">
+                            <span class="score-label">Median first response</span>
+                            <span class="score-value">${duration(health.medianFirstResponseHours)}</span>
+                        </div>
+                        <div class="score-item">
+                            <span class="score-label">Median time to close</span>
+                            <span class="score-value">${duration(health.medianCloseDays !== null ? health.medianCloseDays * 24 : null)}</span>
+                        </div>
+                        <div class="score-item">
+                            <span class="score-label">Open / closed</span>
+                            <span class="score-value">${health.open} / ${health.closed}</span>
+                        </div>
+                        <div class="score-item">
+                            <span class="score-label">Stale issues (${IssueHealth.staleDays}+ days)</span>
+                            <span class="score-value">${health.staleIssues}${health.staleCapped ? '+' : ''}</span>
+                        </div>
+                    </div>
+                    <p class="issue-health-note">Based on the last ${health.sampled} issues and pull requests.</p>
+                </div>`;
+  }
+
+  // Scorecard-style checks; informational only, they do not change the grade
+  getScorecard(repo) {
+    const scorecard = repo.additionalData?.scorecard;
+    if (!scorecard) return '';
+
+    const status = score => score === null ? 'unknown' : score >= 10 ? 'full' : score > 0 ? 'partial' : 'none';
+    return `
+                <div class="scorecard">
+                    <h3>Scorecard Checks${scorecard.score !== null ? ` <span class="scorecard-score">${scorecard.score}/10</span>` : ''}</h3>
+                    <div class="evidence-group">
+                        <ul>
+                            ${scorecard.checks.map(check => `<li class="evidence-${status(check.score)}"><span>${check.name}: ${Helpers.sanitizeHtml(check.reason)}${check.details.length > 0 ? `<span class="scorecard-details">${check.details.map(detail => Helpers.sanitizeHtml(detail)).join('<br>')}</span>` : ''}</span><span class="evidence-points">${check.score !== null ? `${check.score}/10` : '?'}</span></li>`).join('')}
+                        </ul>
+                    </div>
+                    <p class="issue-health-note">A local subset of the OpenSSF Scorecard checks, computed from the repository's workflow and license files.</p>
+                </div>`;
+  }
+
+  // "Why this grade": every point awarded or withheld, grouped by dimension
+  getScoreEvidence(repo) {
+    const evidence = repo.qualityScore?.evidence;
+    if (!evidence || evidence.length === 0) return '';
+
+    const groups = scorer.getDimensions().map(dimension => {
+      const items = evidence.filter(item => item.dimension === dimension.key);
+      if (items.length === 0) return '';
+      return `
+                    <div class="evidence-group">
+                        <h4>${dimension.name}</h4>
+                        <ul>
+                            ${items.map(item => `<li class="evidence-${item.points >= item.max ? 'full' : item.points > 0 ? 'partial' : 'none'}"><span>${Helpers.sanitizeHtml(item.label)}</span><span class="evidence-points">${item.points}/${item.max}</span></li>`).join('')}
+                        </ul>
+                    </div>`;
+    }).join('');
+
+    return `
+                <div class="why-grade">
+                    <h3>Why this grade</h3>
+                    <p>${scorer.getScoreDescription(repo.qualityScore.total)}</p>
+                    ${groups}
+                </div>`;
+  }
+
+  getGradeOptions() {
+    return scorer.getGrades()
+      .map(grade => `<option value="${grade.grade}">${grade.grade} (${grade.min}-${grade.max})</option>`)
+      .join('');
+  }
+
   getProgressBadge(scanStatus) {
     const completed = scanStatus.completedCategories.length;
     const total = Object.keys(categories).length;
@@ -79,10 +253,11 @@ class StagedGenerator {
     </div>`;
   }
 
-  generateHomepage(repositories, repositoriesByCategory, scanStatus) {
+  generateHomepage(repositories, repositoriesByCategory, scanStatus, history = null) {
     const totalRepos = Object.keys(repositories).length;
     const completedCategories = scanStatus.completedCategories.length;
-    const lastScan = scanStatus.lastScanTime ? moment(scanStatus.lastScanTime).fromNow() : 'Never';
+    const totalCategories = Object.keys(categories).length;
+    const lastScan = scanStatus.lastScanTime ? clock.fromNow(scanStatus.lastScanTime) : 'Never';
     
     // Calculate statistics
     const totalStars = Object.values(repositories).reduce((sum, repo) => sum + (repo.stargazers_count || 0), 0);
@@ -99,7 +274,7 @@ class StagedGenerator {
       // Determine status and styling
       let statusClass, statusIcon, statusText;
       if (hasData && categoryTimestamp) {
-        const age = moment().diff(moment(categoryTimestamp), 'days');
+        const age = clock.now().diff(moment(categoryTimestamp), 'days');
         if (age <= 1) {
           statusClass = 'fresh';
           statusIcon = '✅';
@@ -146,14 +321,14 @@ class StagedGenerator {
 
     // Top repositories (from scanned categories only)
     const topRepos = Object.values(repositories)
-      .filter(repo => scanStatus.completedCategories.includes(repo.category))
+      .filter(repo => Helpers.getRepositoryCategories(repo).some(key => scanStatus.completedCategories.includes(key)))
       .sort((a, b) => (b.qualityScore?.total || 0) - (a.qualityScore?.total || 0))
       .slice(0, 6)
       .map(repo => `
         <div class="repo-card">
           <div class="repo-header">
             <h4><a href="${repo.html_url}" target="_blank">${repo.name}</a></h4>
-            <span class="quality-score grade-${Helpers.getGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
+            <span class="quality-score grade-${scorer.calculateGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
           </div>
           <p class="repo-description">${repo.description || 'No description available'}</p>
           <div class="repo-stats">
@@ -161,8 +336,9 @@ class StagedGenerator {
             <span>🍴 ${repo.forks_count || 0}</span>
             <span>📝 ${repo.language || 'Multiple'}</span>
           </div>
+          ${this.getCIBadges(repo)}
           <div class="repo-category">
-            <span class="category-tag">${categories[repo.category]?.name || repo.category}</span>
+            ${this.getCategoryTags(repo)}
           </div>
         </div>
       `).join('');
@@ -203,7 +379,7 @@ class StagedGenerator {
                     <span class="stat-label">Repositories</span>
                 </div>
                 <div class="stat-item">
-                    <span class="stat-number">${completedCategories}/8</span>
+                    <span class="stat-number">${completedCategories}/${totalCategories}</span>
                     <span class="stat-label">Categories</span>
                 </div>
                 <div class="stat-item">
@@ -240,6 +416,8 @@ class StagedGenerator {
         </section>
         ` : ''}
 
+        ${this.getTrendingSection(repositories, history)}
+
         <section class="about-section">
             <div class="container">
                 <h2>About This Project</h2>
@@ -266,7 +444,7 @@ class StagedGenerator {
     <footer class="footer">
         <div class="container">
             <p>&copy; 2024 Test Automation Resources. Data sourced from GitHub.</p>
-            <p>Updated automatically • Scan Progress: ${completedCategories}/8 categories</p>
+            <p>Updated automatically • Scan Progress: ${completedCategories}/${totalCategories} categories</p>
         </div>
     </footer>
 
@@ -277,18 +455,21 @@ class StagedGenerator {
 
   async run() {
     console.log('🎨 Starting Staged Website Generator...\n');
+    if (clock.isFixed) {
+      console.log(`🕰️  Rendering as of ${clock.now().format('YYYY-MM-DD')}`);
+    }
     
-    const { repositories, scanStatus } = await this.loadData();
+    const { repositories, scanStatus, history } = await this.loadData();
     const repositoriesByCategory = this.getRepositoriesByCategory(repositories);
     
     console.log(`📊 Loaded ${Object.keys(repositories).length} repositories`);
-    console.log(`📈 Scan progress: ${scanStatus.completedCategories.length}/8 categories`);
+    console.log(`📈 Scan progress: ${scanStatus.completedCategories.length}/${Object.keys(categories).length} categories`);
     
     await this.ensureDirectories();
     await this.copyAssets();
     
     // Generate homepage
-    const homepage = this.generateHomepage(repositories, repositoriesByCategory, scanStatus);
+    const homepage = this.generateHomepage(repositories, repositoriesByCategory, scanStatus, history);
     await fs.writeFile(path.join(this.distDir, 'index.html'), homepage);
     console.log('✅ Generated homepage with progress indicators');
     
@@ -313,7 +494,7 @@ class StagedGenerator {
     // Generate repository detail pages (for existing repos)
     let detailCount = 0;
     for (const repo of Object.values(repositories)) {
-      const detailPage = this.generateRepositoryDetail(repo);
+      const detailPage = this.generateRepositoryDetail(repo, history.trend(repo.full_name));
       const filename = `${Helpers.slugify(repo.full_name)}.html`;
       await fs.writeFile(path.join(this.distDir, 'repositories', filename), detailPage);
       detailCount++;
@@ -344,13 +525,13 @@ class StagedGenerator {
     console.log(`🔄 Current scan cycle: ${scanStatus.currentCycle || 1}`);
     
     if (scanStatus.lastScanTime) {
-      console.log(`🕒 Last scan: ${moment(scanStatus.lastScanTime).fromNow()}`);
+      console.log(`🕒 Last scan: ${clock.fromNow(scanStatus.lastScanTime)}`);
     }
     
     console.log('\n📂 Category Status:');
     Object.entries(categories).forEach(([key, category]) => {
       const isScanned = scanStatus.completedCategories.includes(key);
-      const repoCount = Object.values(repositories).filter(r => r.category === key).length;
+      const repoCount = Object.values(repositories).filter(r => Helpers.getRepositoryCategories(r).includes(key)).length;
       const status = isScanned ? `✅ ${repoCount} repos` : '⏳ Pending';
       console.log(`  ${category.icon} ${category.name}: ${status}`);
     });
@@ -408,20 +589,17 @@ class StagedGenerator {
                 </select>
                 <select id="gradeFilter">
                     <option value="">All Grades</option>
-                    <option value="A">A+ & A (80-100)</option>
-                    <option value="B">B (70-79)</option>
-                    <option value="C">C (60-69)</option>
-                    <option value="D">D & F (<60)</option>
+                    ${this.getGradeOptions()}
                 </select>
             </div>
 
             <div class="repos-grid" id="reposGrid">
                 ${repos.sort((a, b) => (b.qualityScore?.total || 0) - (a.qualityScore?.total || 0))
                     .map(repo => `
-                    <div class="repo-card" data-language="${repo.language || ''}" data-grade="${Helpers.getGrade(repo.qualityScore?.total || 0)}">
+                    <div class="repo-card" data-language="${repo.language || ''}" data-grade="${scorer.calculateGrade(repo.qualityScore?.total || 0)}">
                         <div class="repo-header">
                             <h3><a href="${repo.html_url}" target="_blank">${repo.name}</a></h3>
-                            <span class="quality-score grade-${Helpers.getGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
+                            <span class="quality-score grade-${scorer.calculateGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
                         </div>
                         <p class="repo-description">${repo.description || 'No description available'}</p>
                         <div class="repo-stats">
@@ -429,6 +607,8 @@ class StagedGenerator {
                             <span>🍴 ${repo.forks_count || 0}</span>
                             <span>📝 ${repo.language || 'Multiple'}</span>
                         </div>
+                        ${this.getCIBadges(repo)}
+                        ${this.getPercentileBadge(repo, categoryKey)}
                         <a href="../repositories/${Helpers.slugify(repo.full_name)}.html" class="view-details">View Details →</a>
                     </div>
                 `).join('')}
@@ -452,11 +632,7 @@ class StagedGenerator {
                 const grade = repo.dataset.grade;
                 
                 const languageMatch = !languageFilter || language === languageFilter;
-                const gradeMatch = !gradeFilter || 
-                    (gradeFilter === 'A' && ['A+', 'A'].includes(grade)) ||
-                    (gradeFilter === 'B' && grade === 'B') ||
-                    (gradeFilter === 'C' && grade === 'C') ||
-                    (gradeFilter === 'D' && ['D', 'F'].includes(grade));
+                const gradeMatch = !gradeFilter || grade === gradeFilter;
                 
                 repo.style.display = languageMatch && gradeMatch ? 'block' : 'none';
             });
@@ -503,7 +679,7 @@ class StagedGenerator {
                     <select id="categoryFilter">
                         <option value="">All Categories</option>
                         ${Object.entries(categories).map(([key, cat]) => {
-                            const count = Object.values(repositories).filter(r => r.category === key).length;
+                            const count = Object.values(repositories).filter(r => Helpers.getRepositoryCategories(r).includes(key)).length;
                             return `<option value="${key}">${cat.name} (${count})</option>`;
                         }).join('')}
                     </select>
@@ -514,10 +690,7 @@ class StagedGenerator {
                     </select>
                     <select id="gradeFilter">
                         <option value="">All Grades</option>
-                        <option value="A">A+ & A (80-100)</option>
-                        <option value="B">B (70-79)</option>
-                        <option value="C">C (60-69)</option>
-                        <option value="D">D & F (<60)</option>
+                        ${this.getGradeOptions()}
                     </select>
                 </div>
             </div>
@@ -530,11 +703,11 @@ class StagedGenerator {
                          data-name="${repo.name.toLowerCase()}" 
                          data-description="${(repo.description || '').toLowerCase()}" 
                          data-language="${repo.language || ''}" 
-                         data-category="${repo.category || ''}"
-                         data-grade="${Helpers.getGrade(repo.qualityScore?.total || 0)}">
+                         data-categories="${Helpers.getRepositoryCategories(repo).join(' ')}"
+                         data-grade="${scorer.calculateGrade(repo.qualityScore?.total || 0)}">
                         <div class="repo-header">
                             <h3><a href="${repo.html_url}" target="_blank">${repo.name}</a></h3>
-                            <span class="quality-score grade-${Helpers.getGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
+                            <span class="quality-score grade-${scorer.calculateGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
                         </div>
                         <p class="repo-description">${repo.description || 'No description available'}</p>
                         <div class="repo-stats">
@@ -542,8 +715,9 @@ class StagedGenerator {
                             <span>🍴 ${repo.forks_count || 0}</span>
                             <span>📝 ${repo.language || 'Multiple'}</span>
                         </div>
+                        ${this.getCIBadges(repo)}
                         <div class="repo-category">
-                            <span class="category-tag">${categories[repo.category]?.name || repo.category}</span>
+                            ${this.getCategoryTags(repo)}
                         </div>
                         <a href="repositories/${Helpers.slugify(repo.full_name)}.html" class="view-details">View Details →</a>
                     </div>
@@ -571,7 +745,7 @@ class StagedGenerator {
                 const name = repo.dataset.name;
                 const description = repo.dataset.description;
                 const language = repo.dataset.language;
-                const category = repo.dataset.category;
+                const repoCategories = repo.dataset.categories.split(' ');
                 const grade = repo.dataset.grade;
 
                 const matchesSearch = !searchTerm || 
@@ -579,13 +753,9 @@ class StagedGenerator {
                     description.includes(searchTerm) || 
                     language.toLowerCase().includes(searchTerm);
 
-                const matchesCategory = !categoryValue || category === categoryValue;
+                const matchesCategory = !categoryValue || repoCategories.includes(categoryValue);
                 const matchesLanguage = !languageValue || language === languageValue;
-                const matchesGrade = !gradeValue || 
-                    (gradeValue === 'A' && ['A+', 'A'].includes(grade)) ||
-                    (gradeValue === 'B' && grade === 'B') ||
-                    (gradeValue === 'C' && grade === 'C') ||
-                    (gradeValue === 'D' && ['D', 'F'].includes(grade));
+                const matchesGrade = !gradeValue || grade === gradeValue;
 
                 repo.style.display = matchesSearch && matchesCategory && matchesLanguage && matchesGrade ? 'block' : 'none';
             });
@@ -600,7 +770,7 @@ class StagedGenerator {
 </html>`;
   }
 
-  generateRepositoryDetail(repo) {
+  generateRepositoryDetail(repo, trend = null) {
     // Simplified repository detail page
     return `<!DOCTYPE html>
 <html lang="en">
@@ -630,13 +800,13 @@ class StagedGenerator {
             <div class="repo-detail">
                 <div class="repo-header">
                     <h1>${repo.name}</h1>
-                    <span class="quality-score grade-${Helpers.getGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
+                    <span class="quality-score grade-${scorer.calculateGrade(repo.qualityScore?.total || 0)}">${repo.qualityScore?.total || 0}/100</span>
                 </div>
                 
                 <p class="repo-description">${repo.description || 'No description available'}</p>
                 
                 <div class="repo-meta">
-                    <span class="category-tag">${categories[repo.category]?.name || repo.category}</span>
+                    ${this.getCategoryTags(repo)}
                     <span>⭐ ${repo.stargazers_count || 0} stars</span>
                     <span>🍴 ${repo.forks_count || 0} forks</span>
                     <span>📝 ${repo.language || 'Multiple languages'}</span>
@@ -647,35 +817,24 @@ class StagedGenerator {
                     ${repo.homepage ? `<a href="${repo.homepage}" class="btn-secondary" target="_blank">Visit Website</a>` : ''}
                 </div>
 
+                ${this.getTrend(trend)}
+
                 <div class="quality-breakdown">
                     <h3>Quality Score Breakdown</h3>
                     <div class="score-grid">
+                        ${scorer.getDimensions().map(dimension => `
                         <div class="score-item">
-                            <span class="score-label">Popularity</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.popularity || 0}/25</span>
-                        </div>
-                        <div class="score-item">
-                            <span class="score-label">Activity</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.activity || 0}/20</span>
-                        </div>
-                        <div class="score-item">
-                            <span class="score-label">Documentation</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.documentation || 0}/20</span>
-                        </div>
-                        <div class="score-item">
-                            <span class="score-label">Community</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.community || 0}/15</span>
-                        </div>
-                        <div class="score-item">
-                            <span class="score-label">Maintenance</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.maintenance || 0}/10</span>
-                        </div>
-                        <div class="score-item">
-                            <span class="score-label">Code Quality</span>
-                            <span class="score-value">${repo.qualityScore?.breakdown?.codeQuality || 0}/10</span>
-                        </div>
+                            <span class="score-label">${dimension.name}</span>
+                            <span class="score-value">${Math.round(repo.qualityScore?.breakdown?.[dimension.key] || 0)}/${dimension.max}</span>
+                        </div>`).join('')}
                     </div>
                 </div>
+
+                ${this.getIssueHealth(repo)}
+
+                ${this.getScorecard(repo)}
+
+                ${this.getScoreEvidence(repo)}
             </div>
         </div>
     </main>
@@ -686,6 +845,8 @@ class StagedGenerator {
 
 // Run if called directly
 if (require.main === module) {
+  // --as-of YYYY-MM-DD renders relative dates as of that day
+  clock.setAsOf(Clock.asOfArgument());
   const generator = new StagedGenerator();
   
   generator.run()
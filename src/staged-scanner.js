@@ -8,10 +8,19 @@
 require('dotenv').config();
 const fs = require('fs-extra');
 const path = require('path');
-const moment = require('moment');
 const GitHubAPI = require('./utils/github');
+const Enricher = require('./utils/enrichment');
+const WorkerPool = require('./utils/worker-pool');
+const SearchPlanner = require('./utils/search-planner');
+const ExclusionRules = require('./utils/exclusion-rules');
+const CategoryClassifier = require('./utils/classifier');
+const PercentileNormalizer = require('./utils/percentiles');
+const ScoreHistory = require('./utils/score-history');
+const ScoringInputs = require('./utils/scoring-inputs');
 const { calculateQualityScore } = require('./utils/scoring');
+const Helpers = require('./utils/helpers');
 const categories = require('./config/categories');
+const { clock } = require('./utils/clock');
 
 class StagedScanner {
   constructor() {
@@ -20,11 +29,41 @@ class StagedScanner {
     this.categoriesFile = path.join(this.dataDir, 'categories.json');
     this.repositoriesFile = path.join(this.dataDir, 'repositories.json');
     this.statusFile = path.join(this.dataDir, 'scan-status.json');
+    this.exclusionsReportFile = path.join(this.dataDir, 'exclusions-report.json');
+    this.historyFile = path.join(this.dataDir, 'history.json');
+    this.scoringInputs = new ScoringInputs(path.join(this.dataDir, 'scoring-inputs'));
     
     // Scanning limits per category
     this.maxReposPerSearch = parseInt(process.env.MAX_REPOS_PER_SEARCH) || 3;
     this.maxReposPerCategory = parseInt(process.env.MAX_REPOS_PER_CATEGORY) || 15;
     this.timeoutMinutes = parseInt(process.env.CATEGORY_TIMEOUT_MINUTES) || 12;
+    
+    // Repositories enriched in parallel (ENRICHMENT_CONCURRENCY)
+    this.enrichmentPool = WorkerPool.fromEnv();
+    
+    // Pagination depth and query splitting (SEARCH_MAX_PAGES, SEARCH_SPLIT)
+    this.searchPlanner = SearchPlanner.fromEnv();
+    
+    // Validity filters plus denylist/pattern rules (src/config/exclusions.json)
+    this.exclusionRules = ExclusionRules.fromConfig({
+      minStars: parseInt(process.env.MIN_STARS) || 10,
+      maxAgeMonths: parseInt(process.env.MAX_AGE_MONTHS) || 18,
+      categories: Object.values(categories)
+    });
+    
+    // Category classifier (CLASSIFIER_MODE=off|suggest|assign)
+    this.classifier = CategoryClassifier.fromEnv(categories);
+    
+    // Enrichment inputs over REST or GraphQL (ENRICHMENT_BACKEND=rest|graphql)
+    this.enricher = new Enricher(this.github, {
+      backend: process.env.ENRICHMENT_BACKEND,
+      classifier: this.classifier,
+      pool: this.enrichmentPool
+    });
+    
+    // Category-relative percentiles (SCORE_NORMALIZATION=percentile)
+    this.normalizer = PercentileNormalizer.fromEnv();
+    this.checkpointQueue = Promise.resolve();
   }
 
   async ensureDataDirectory() {
@@ -44,13 +83,34 @@ class StagedScanner {
   }
 
   async saveData(repositories, scanStatus) {
-    await fs.writeJSON(this.repositoriesFile, repositories, { spaces: 2 });
-    await fs.writeJSON(this.statusFile, scanStatus, { spaces: 2 });
+    // Write-then-rename so a crash mid-checkpoint never leaves truncated JSON
+    await this.writeJSONAtomic(this.repositoriesFile, repositories);
+    await this.writeJSONAtomic(this.statusFile, scanStatus);
+  }
+
+  async writeJSONAtomic(file, data) {
+    const tmpFile = `${file}.tmp`;
+    await fs.writeJSON(tmpFile, data, { spaces: 2 });
+    await fs.move(tmpFile, file, { overwrite: true });
+  }
+
+  // Checkpoints are chained so concurrent enrichment workers never write at once
+  checkpoint(repositories, scanStatus) {
+    scanStatus.inProgress.updatedAt = clock.now().toISOString();
+    this.checkpointQueue = this.checkpointQueue
+      .then(() => this.saveData(repositories, scanStatus))
+      .catch(error => console.error('    ⚠️  Checkpoint failed:', error.message));
+    return this.checkpointQueue;
   }
 
   getNextCategory(scanStatus) {
     const allCategories = Object.keys(categories);
     
+    // An interrupted scan always resumes first
+    if (scanStatus.inProgress && categories[scanStatus.inProgress.category]) {
+      return { category: scanStatus.inProgress.category, isNewCycle: false };
+    }
+    
     // Initialize category timestamps if not present
     if (!scanStatus.categoryTimestamps) {
       scanStatus.categoryTimestamps = {};
@@ -76,65 +136,119 @@ class StagedScanner {
     };
   }
 
-  async scanCategory(categoryKey) {
+  /**
+   * Scan one category. `progress` carries the checkpoint position
+   * (queryIndex into the search plan, page) and is advanced in place;
+   * `resumed` holds repositories already enriched before an interruption.
+   * `onRepository` and `onPage` are awaited after each enriched repository
+   * and each finished result page so the caller can persist a checkpoint.
+   */
+  async scanCategory(categoryKey, { progress = null, resumed = [], onRepository = null, onPage = null } = {}) {
     const category = categories[categoryKey];
     console.log(`🔍 Scanning category: ${category.name}`);
     console.log(`📝 Search terms: ${category.searchTerms.join(', ')}`);
+    if (category.topics && category.topics.length > 0) {
+      console.log(`🏷️  Topics: ${category.topics.join(', ')}`);
+    }
     
-    const repositories = [];
+    const repositories = [...resumed];
     const startTime = Date.now();
+    const position = progress || { queryIndex: 0, page: 1 };
     
-    for (const searchTerm of category.searchTerms) {
-      // Check timeout
-      const elapsed = (Date.now() - startTime) / (1000 * 60);
-      if (elapsed > this.timeoutMinutes) {
-        console.log(`⏰ Timeout reached for ${categoryKey}, stopping search`);
-        break;
-      }
-      
-      console.log(`  🔎 Searching: "${searchTerm}"`);
+    // Search terms, split into star/date slices and paginated (see utils/search-planner.js)
+    const planner = this.searchPlanner.forCategory(category);
+    const plan = planner.buildPlan(category, {
+      minStars: parseInt(process.env.MIN_STARS) || 10,
+      pushed: clock.now().subtract(parseInt(process.env.MAX_AGE_MONTHS) || 18, 'months').format('YYYY-MM-DD'),
+      archived: false,
+      fork: false
+    });
+    position.totalQueries = plan.length;
+    
+    if (position.queryIndex > 0 || position.page > 1 || repositories.length > 0) {
+      console.log(`⏯️  Resuming at query ${position.queryIndex + 1}/${plan.length} (page ${position.page}) with ${repositories.length} repositories already enriched`);
+    }
+    
+    // Allowlisted repositories are always included, ahead of any search results
+    await this.enricher.includeAllowlist(category, repositories,
+      (repo, prefetched) => this.enrichRepository(repo, categoryKey, prefetched), onRepository);
+    
+    let timedOut = false;
+    for (let queryIndex = position.queryIndex; queryIndex < plan.length; queryIndex++) {
+      const entry = plan[queryIndex];
+      position.queryIndex = queryIndex;
+      position.query = entry.label;
       
-      try {
-        // Build search query like the original scanner
-        const query = this.github.buildSearchQuery([searchTerm], {
-          language: category.languages ? category.languages.join(',') : null,
-          minStars: parseInt(process.env.MIN_STARS) || 10,
-          pushed: moment().subtract(parseInt(process.env.MAX_AGE_MONTHS) || 18, 'months').format('YYYY-MM-DD'),
-          archived: false,
-          fork: false
-        });
-
-        const searchResults = await this.github.searchRepositories(query, {
-          perPage: this.maxReposPerSearch,
-          sort: 'stars', 
-          order: 'desc'
-        });
+      for (let page = position.page; ; page++) {
+        // Check timeout
+        const elapsed = (Date.now() - startTime) / (1000 * 60);
+        if (elapsed > this.timeoutMinutes) {
+          console.log(`⏰ Timeout reached for ${categoryKey}, stopping search`);
+          timedOut = true;
+          break;
+        }
+        
+        console.log(`  🔎 Searching: ${entry.label}${page > 1 ? ` (page ${page})` : ''}`);
+        
+        let searchResults;
+        try {
+          const query = this.github.buildSearchQuery(entry.searchTerm ? [entry.searchTerm] : [], entry.filters);
+          searchResults = await this.github.searchRepositories(query, {
+            page,
+            perPage: this.maxReposPerSearch,
+            sort: 'stars', 
+            order: 'desc'
+          });
+        } catch (error) {
+          console.error(`    ❌ Error searching ${entry.label}:`, error.message);
+          break;
+        }
+        
+        if (page === 1 && planner.isCapped(searchResults)) {
+          console.log(`    ℹ️  ${searchResults.total_count} matches exceed the 1000-result cap; set SEARCH_SPLIT to reach more`);
+        }
         
         // Handle the response correctly - use .items array
         const repos = searchResults.items || [];
         
-        for (const repo of repos) {
-          if (repositories.length >= this.maxReposPerCategory) {
-            console.log(`  📊 Reached category limit (${this.maxReposPerCategory})`);
-            break;
-          }
-          
-          // Check for duplicates
-          if (!repositories.find(r => r.full_name === repo.full_name)) {
-            // Enrich repository data
-            const enrichedRepo = await this.enrichRepository(repo, categoryKey);
-            if (enrichedRepo) {
-              repositories.push(enrichedRepo);
-              console.log(`    ✅ ${repo.full_name} (${enrichedRepo.qualityScore.total}/100)`);
-            }
+        // Tag repositories already found by an earlier query with this one too
+        repos.forEach(repo => {
+          const existing = repositories.find(r => r.full_name === repo.full_name);
+          if (existing) Enricher.recordDiscovery(existing, entry.source);
+        });
+        
+        // Skip duplicates and excluded repositories, and stay within the category limit
+        const candidates = repos
+          .filter(repo => !repositories.find(r => r.full_name === repo.full_name))
+          .filter(repo => !this.exclusionRules.exclude(repo, category))
+          .slice(0, this.maxReposPerCategory - repositories.length);
+        const prefetched = await this.enricher.prefetch(candidates);
+        
+        // Enrich repository data
+        await this.enrichmentPool.map(candidates, async repo => {
+          const enrichedRepo = await this.enrichRepository(repo, categoryKey, prefetched.get(repo.full_name));
+          if (enrichedRepo && !this.exclusionRules.exclude(enrichedRepo, category)) {
+            Enricher.recordDiscovery(enrichedRepo, entry.source);
+            repositories.push(enrichedRepo);
+            console.log(`    ✅ ${repo.full_name} (${enrichedRepo.qualityScore.total}/100)`);
+            if (onRepository) await onRepository(enrichedRepo);
           }
-        }
+        });
         
-        if (repositories.length >= this.maxReposPerCategory) break;
+        const morePages = planner.hasMorePages(searchResults, page, this.maxReposPerSearch);
+        position.page = morePages ? page + 1 : 1;
+        if (!morePages) position.queryIndex = queryIndex + 1;
+        if (onPage) await onPage(entry, page);
         
-      } catch (error) {
-        console.error(`    ❌ Error searching "${searchTerm}":`, error.message);
+        if (!morePages || repositories.length >= this.maxReposPerCategory) break;
       }
+      
+      if (timedOut) break;
+      if (repositories.length >= this.maxReposPerCategory) {
+        console.log(`  📊 Reached category limit (${this.maxReposPerCategory})`);
+        break;
+      }
+      position.page = 1;
     }
     
     const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
@@ -144,58 +258,54 @@ class StagedScanner {
     return repositories;
   }
 
-  async enrichRepository(repo, categoryKey) {
+  async enrichRepository(repo, categoryKey, prefetched = null) {
     try {
       console.log('    📝 Enriching: ' + repo.full_name);
       
       const repoInfo = this.extractRepoInfo(repo.html_url);
       if (!repoInfo) return null;
 
-      // Get additional data for scoring
-      const [readme, releases, commits, contributors] = await Promise.all([
-        this.github.getRepositoryContents(repoInfo.owner, repoInfo.repo, 'README.md'),
-        this.github.getRepositoryReleases(repoInfo.owner, repoInfo.repo),
-        this.github.getRepositoryCommits(repoInfo.owner, repoInfo.repo, moment().subtract(3, 'months').toISOString()),
-        this.github.getRepositoryContributors(repoInfo.owner, repoInfo.repo)
-      ]);
+      const inputs = prefetched || await this.enricher.fetchInputs(repoInfo.owner, repoInfo.repo, repo.language);
+      const { readme, releases, commits, contributors, license, contributing } = inputs;
 
-      // Check for additional files
-      const [license, contributing, hasCI] = await Promise.all([
-        this.checkForFile(repoInfo.owner, repoInfo.repo, 'LICENSE'),
-        this.checkForFile(repoInfo.owner, repoInfo.repo, 'CONTRIBUTING.md'),
-        this.checkForCI(repoInfo.owner, repoInfo.repo)
-      ]);
+      // README, contributor and issue analyses, then the quality score
+      const { analyses, scoringData } = ScoringInputs.analyze(repo, inputs);
+      const { readmeAnalysis, contributorMetrics, issueHealth, securityPosture, scorecard, ciStatus } = analyses;
+      const qualityScore = calculateQualityScore(repo, scoringData);
 
-      // Calculate quality score
-      const additionalData = {
-        readme,
-        releases,
-        commits,
-        contributors,
-        hasLicense: !!license,
-        hasContributing: !!contributing,
-        hasWiki: repo.has_wiki,
-        hasCI
-      };
+      // Keep the raw inputs so `npm run rescore` can rebuild the score offline
+      await this.scoringInputs.save(repo.full_name, inputs)
+        .catch(error => console.error(`    ⚠️  Could not save scoring inputs for ${repo.full_name}:`, error.message));
+      const readmeText = readme ? Buffer.from(readme.content, 'base64').toString() : '';
 
-      const qualityScore = calculateQualityScore(repo, additionalData);
+      // Category suggestion from topics, description, README and manifests
+      const classification = this.classifier.enabled
+        ? this.classifier.classify(repo, { readme: readmeText, manifests: inputs.manifests }, categoryKey)
+        : null;
 
       // Enrich repository data
       const enrichedRepo = {
         ...repo,
         category: categoryKey,
         categoryName: categories[categoryKey]?.name || categoryKey,
-        scannedAt: new Date().toISOString(),
+        scannedAt: clock.now().toISOString(),
         qualityScore,
+        classification,
         additionalData: {
           recentCommits: commits ? commits.length : 0,
           totalReleases: releases ? releases.length : 0,
           contributors: contributors ? contributors.length : 0,
           hasLicense: !!license,
           hasContributing: !!contributing,
-          hasCI,
+          hasCI: scoringData.hasCI,
           lastRelease: releases && releases.length > 0 ? releases[0] : null,
-          readmeLength: readme ? Buffer.from(readme.content, 'base64').toString().length : 0
+          readmeLength: readmeText.length,
+          readmeAnalysis,
+          contributorMetrics,
+          issueHealth,
+          securityPosture,
+          scorecard,
+          ciStatus
         }
       };
 
@@ -206,40 +316,30 @@ class StagedScanner {
     }
   }
 
-  extractRepoInfo(url) {
-    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-    if (!match) return null;
-    return { owner: match[1], repo: match[2] };
+  // Add `categoryKey` to a scanned repository's categories, keeping the ones
+  // it already belongs to from earlier scans of other categories
+  mergeMembership(existing, repo, categoryKey) {
+    const membership = existing ? Helpers.getMembership(existing) : {};
+    membership[categoryKey] = Helpers.calculateCategoryRelevance(repo, categories[categoryKey]);
+    this.classifier.applyToMembership(membership, repo.classification);
+    return this.applyMembership(repo, membership);
   }
 
-  async checkForFile(owner, repo, filename) {
-    try {
-      const content = await this.github.getRepositoryContents(owner, repo, filename);
-      return !!content;
-    } catch (error) {
-      return false;
-    }
+  applyMembership(repo, membership) {
+    // Categories removed from the config no longer count
+    Object.keys(membership)
+      .filter(categoryKey => !categories[categoryKey])
+      .forEach(categoryKey => delete membership[categoryKey]);
+    
+    const updated = Helpers.applyCategoryMembership(repo, membership);
+    if (updated) updated.categoryName = categories[updated.category].name;
+    return updated;
   }
 
-  async checkForCI(owner, repo) {
-    try {
-      // Check for common CI files
-      const ciFiles = [
-        '.github/workflows',
-        '.travis.yml',
-        '.circleci/config.yml',
-        'azure-pipelines.yml',
-        '.gitlab-ci.yml'
-      ];
-
-      for (const file of ciFiles) {
-        const exists = await this.checkForFile(owner, repo, file);
-        if (exists) return true;
-      }
-      return false;
-    } catch (error) {
-      return false;
-    }
+  extractRepoInfo(url) {
+    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
+    if (!match) return null;
+    return { owner: match[1], repo: match[2] };
   }
 
   async run() {
@@ -260,25 +360,73 @@ class StagedScanner {
     }
     
     console.log(`📂 Current category: ${nextCategory}`);
-    console.log(`📈 Progress: ${scanStatus.completedCategories.length}/8 categories completed`);
+    console.log(`📈 Progress: ${scanStatus.completedCategories.length}/${Object.keys(categories).length} categories completed`);
+    
+    // Resume an interrupted scan of this category, or start a fresh checkpoint
+    const updatedRepos = { ...existingRepos };
+    let progress = scanStatus.inProgress;
+    if (progress && progress.category !== nextCategory) {
+      console.log(`⚠️  Discarding unfinished scan of ${progress.category}`);
+      progress = null;
+    }
+    if (!progress) {
+      progress = {
+        category: nextCategory,
+        queryIndex: 0,
+        page: 1,
+        repositories: [],
+        startedAt: clock.now().toISOString()
+      };
+    }
+    scanStatus.inProgress = progress;
+    await this.checkpoint(updatedRepos, scanStatus);
     
-    // Scan the category
-    const categoryRepos = await this.scanCategory(nextCategory);
+    const resumed = progress.repositories
+      .map(fullName => existingRepos[fullName])
+      .filter(repo => repo && Helpers.getRepositoryCategories(repo).includes(nextCategory));
+    
+    // Scan the category, checkpointing after every repository and result page
+    const categoryRepos = await this.scanCategory(nextCategory, {
+      progress,
+      resumed,
+      onRepository: repo => {
+        updatedRepos[repo.full_name] = this.mergeMembership(updatedRepos[repo.full_name], repo, nextCategory);
+        progress.repositories.push(repo.full_name);
+        return this.checkpoint(updatedRepos, scanStatus);
+      },
+      onPage: () => this.checkpoint(updatedRepos, scanStatus)
+    });
+    await this.checkpointQueue;
     
     // Merge with existing data (replace category data)
     const allCategories = Object.keys(categories);
-    const updatedRepos = { ...existingRepos };
+    const scannedNames = new Set(categoryRepos.map(repo => repo.full_name));
     
-    // Remove old data for this category
+    // Drop this category from repositories the scan no longer found; only
+    // remove them entirely when they belong to no other category. A category
+    // assigned by the classifier follows the search category that found it.
     Object.keys(updatedRepos).forEach(repoKey => {
-      if (updatedRepos[repoKey].category === nextCategory) {
+      const repo = updatedRepos[repoKey];
+      const assignment = repo.classification && repo.classification.assigned ? repo.classification : null;
+      if (scannedNames.has(repoKey) || (assignment && assignment.category === nextCategory)) return;
+      
+      const membership = Helpers.getMembership(repo);
+      const dropped = [nextCategory];
+      if (assignment && assignment.searchCategory === nextCategory) dropped.push(assignment.category);
+      if (!dropped.some(categoryKey => membership[categoryKey] !== undefined)) return;
+      
+      dropped.forEach(categoryKey => delete membership[categoryKey]);
+      const remaining = this.applyMembership(repo, membership);
+      if (remaining) {
+        updatedRepos[repoKey] = remaining;
+      } else {
         delete updatedRepos[repoKey];
       }
     });
     
-    // Add new data for this category
+    // Add new data for this category, keeping other category memberships
     categoryRepos.forEach(repo => {
-      updatedRepos[repo.full_name] = repo;
+      updatedRepos[repo.full_name] = this.mergeMembership(updatedRepos[repo.full_name], repo, nextCategory);
     });
     
     // Update scan status
@@ -290,20 +438,33 @@ class StagedScanner {
     if (!scanStatus.categoryTimestamps) {
       scanStatus.categoryTimestamps = {};
     }
-    scanStatus.categoryTimestamps[nextCategory] = new Date().toISOString();
+    scanStatus.categoryTimestamps[nextCategory] = clock.now().toISOString();
     
     scanStatus.lastScannedCategory = nextCategory;
-    scanStatus.lastScanTime = new Date().toISOString();
+    scanStatus.lastScanTime = clock.now().toISOString();
+    delete scanStatus.inProgress;
     
     // Check if cycle is complete
     if (scanStatus.completedCategories.length === allCategories.length) {
-      scanStatus.lastFullScan = new Date().toISOString();
+      scanStatus.lastFullScan = clock.now().toISOString();
       console.log(`🎉 Full scan cycle ${scanStatus.currentCycle} completed!`);
     }
     
+    // Rank every stored repository within its categories
+    this.normalizer.normalize(Object.values(updatedRepos));
+    
     // Save data
     await this.saveData(updatedRepos, scanStatus);
     
+    // Append this run's scores to the history (one entry per repository per cycle)
+    const history = await ScoreHistory.load(this.historyFile);
+    const recorded = history.record(categoryRepos.map(repo => updatedRepos[repo.full_name]), scanStatus.currentCycle || 1);
+    await history.save();
+    console.log(`📈 Recorded ${recorded} history entries for cycle ${scanStatus.currentCycle || 1}`);
+    await this.scoringInputs.prune(Object.keys(updatedRepos));
+    const exclusions = await this.exclusionRules.writeReport(this.exclusionsReportFile);
+    console.log(`🚫 Excluded ${exclusions.total} repositories (see ${path.relative(process.cwd(), this.exclusionsReportFile)})`);
+    
     // Generate summary
     this.generateSummary(updatedRepos, scanStatus);
     
@@ -327,8 +488,13 @@ class StagedScanner {
     console.log(`📚 Total repositories: ${totalRepos}`);
     console.log(`🔄 Scan cycle: ${scanStatus.currentCycle}`);
     
+    const cacheStats = this.github.getCacheStats();
+    if (cacheStats) {
+      console.log(`💾 Response cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
+    }
+    
     if (scanStatus.lastFullScan) {
-      console.log(`✅ Last full scan: ${moment(scanStatus.lastFullScan).fromNow()}`);
+      console.log(`✅ Last full scan: ${clock.fromNow(scanStatus.lastFullScan)}`);
     }
     
     console.log('\n📈 Next Steps:');
@@ -0,0 +1,111 @@
+/**
+ * CI systems configured in a repository, its GitHub Actions workflows, and
+ * whether any of them actually runs the tests.
+ *
+ * The scanners hand over `{ configs }`: the CI_SYSTEMS paths that exist as
+ * { path, content }, with null content for directories. Workflow contents
+ * come from the security inputs, which already read them.
+ */
+
+const WORKFLOWS_DIR = '.github/workflows';
+
+// Where each system keeps its configuration, relative to the repository root
+const CI_SYSTEMS = [
+  { key: 'githubActions', name: 'GitHub Actions', paths: [WORKFLOWS_DIR] },
+  { key: 'gitlab', name: 'GitLab CI', paths: ['.gitlab-ci.yml'] },
+  { key: 'circleci', name: 'CircleCI', paths: ['.circleci/config.yml', 'circle.yml'] },
+  { key: 'jenkins', name: 'Jenkins', paths: ['Jenkinsfile'] },
+  { key: 'azure', name: 'Azure Pipelines', paths: ['azure-pipelines.yml', 'azure-pipelines.yaml', '.azure-pipelines.yml'] },
+  { key: 'travis', name: 'Travis CI', paths: ['.travis.yml'] },
+  { key: 'buildkite', name: 'Buildkite', paths: ['.buildkite/pipeline.yml', '.buildkite/pipeline.yaml'] },
+  { key: 'drone', name: 'Drone', paths: ['.drone.yml', '.drone.yaml'] }
+];
+
+// Commands that run a test suite, across the common ecosystems
+const TEST_COMMAND = /\b(npm (run )?test|npm run test:\w+|yarn (run )?test|pnpm (run )?test|npx (jest|mocha|vitest|playwright test|cypress run)|jest|mocha|vitest|playwright test|cypress run|pytest|python -m (pytest|unittest)|tox|nox|go test|cargo (test|nextest)|mvn[^\n]* (test|verify|install)|gradlew?[^\n]* (test|check|build)|dotnet test|rspec|rake test|bundle exec (rspec|rake)|phpunit|mix test|swift test|ctest|make (test|check))\b/i;
+
+class CIDetector {
+  static get systems() {
+    return CI_SYSTEMS;
+  }
+
+  static get candidatePaths() {
+    return CI_SYSTEMS.flatMap(system => system.paths);
+  }
+
+  /**
+   * Fetch the configs present among the repository's already listed paths
+   * (root and .github/ entries). The workflows directory is taken from the
+   * listing alone; configs inside another listed directory (.circleci/) are
+   * probed. Returns null when the repository could not be listed.
+   */
+  static async fetchConfigs(github, owner, repo, paths) {
+    if (!paths) return null;
+
+    try {
+      const listed = new Set(paths);
+      const present = CIDetector.candidatePaths
+        .filter(file => listed.has(file) || (file.includes('/') && !file.startsWith('.github/') && listed.has(file.split('/')[0])));
+      const configs = await Promise.all(present.map(async file => {
+        if (file === WORKFLOWS_DIR) return { path: file, content: null };
+
+        const content = await github.getRepositoryContents(owner, repo, file);
+        if (!content) return null;
+        return {
+          path: file,
+          content: !Array.isArray(content) && content.content ? Buffer.from(content.content, 'base64').toString() : null
+        };
+      }));
+
+      return { configs: configs.filter(Boolean) };
+    } catch (error) {
+      return null; // Unchecked rather than failing the whole enrichment
+    }
+  }
+
+  // The first test command in a config or workflow, if any
+  static findTestCommand(content) {
+    const match = (content || '').match(TEST_COMMAND);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Analyse the CI inputs and the GitHub Actions workflow files. Returns
+   * { configured, systems, workflows, runsTests, testCommands }, or null
+   * when the CI files were never checked.
+   */
+  static analyze(ci, workflows = []) {
+    if (!ci) return null;
+
+    const configs = ci.configs || [];
+    const systems = CI_SYSTEMS
+      .map(system => {
+        const config = configs.find(candidate => system.paths.includes(candidate.path));
+        return config ? { key: system.key, name: system.name, path: config.path } : null;
+      })
+      .filter(Boolean);
+
+    // Workflows only count when the workflows directory exists
+    const actionsWorkflows = systems.some(system => system.key === 'githubActions')
+      ? (workflows || []).filter(workflow => workflow.content)
+      : [];
+    const sources = [
+      ...actionsWorkflows.map(workflow => ({ name: workflow.name, content: workflow.content })),
+      ...configs.filter(config => config.content).map(config => ({ name: config.path, content: config.content }))
+    ];
+    const testCommands = sources
+      .map(source => ({ source: source.name, command: CIDetector.findTestCommand(source.content) }))
+      .filter(found => found.command)
+      .map(found => `${found.source}: ${found.command}`);
+
+    return {
+      configured: systems.length > 0,
+      systems,
+      workflows: actionsWorkflows.map(workflow => workflow.name),
+      runsTests: testCommands.length > 0,
+      testCommands
+    };
+  }
+}
+
+module.exports = CIDetector;
@@ -0,0 +1,199 @@
+/**
+ * Local, deterministic category classifier. Scores every category against a
+ * repository's topics, name, description, README and dependency manifests
+ * using the `keywords`, `topics` and `packages` lists in the category
+ * config, and reports the best match with a 0-100 confidence.
+ *
+ * CLASSIFIER_MODE controls what the scanners do with the result:
+ *   off     - don't classify
+ *   suggest - store the result on the repository only (default)
+ *   assign  - also move confident disagreements into the classified category
+ */
+
+// Dependency manifests worth fetching for a repository's primary language
+const LANGUAGE_MANIFESTS = {
+  JavaScript: ['package.json'],
+  TypeScript: ['package.json'],
+  Java: ['pom.xml', 'build.gradle'],
+  Kotlin: ['build.gradle.kts', 'build.gradle'],
+  Groovy: ['build.gradle'],
+  Python: ['requirements.txt', 'pyproject.toml'],
+  Go: ['go.mod'],
+  Ruby: ['Gemfile']
+};
+
+const gradleDependencies = text => [...text.matchAll(/['"]([\w.-]+):([\w.-]+)(?::[^'"]*)?['"]/g)].map(match => match[2]);
+
+// Extract dependency names from the text of each supported manifest
+const MANIFEST_PARSERS = {
+  'package.json': text => {
+    const manifest = JSON.parse(text);
+    return ['dependencies', 'devDependencies', 'peerDependencies']
+      .flatMap(field => Object.keys(manifest[field] || {}));
+  },
+  'pom.xml': text => [...text.matchAll(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/g)].map(match => match[1]),
+  'build.gradle': gradleDependencies,
+  'build.gradle.kts': gradleDependencies,
+  'requirements.txt': text => text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map(line => line.split(/[<>=~![;\s]/)[0]),
+  'pyproject.toml': text => [
+    ...[...text.matchAll(/"([A-Za-z0-9_.-]+)\s*(?:[<>=~![;]|")/g)].map(match => match[1]),
+    ...[...text.matchAll(/^([A-Za-z0-9_-]+)\s*=\s*["{]/gm)].map(match => match[1])
+  ],
+  'go.mod': text => [...text.matchAll(/^\s*(?:require\s+)?([\w.-]+\/[\w./-]+)\s+v[\d.]/gm)].map(match => match[1]),
+  'Gemfile': text => [...text.matchAll(/^\s*gem\s+['"]([\w.-]+)['"]/gm)].map(match => match[1])
+};
+
+const WEIGHTS = {
+  package: 4,
+  topic: 3,
+  name: 2,
+  description: 2,
+  readme: 1
+};
+
+// Evidence needed before a clear winner reaches full confidence
+const FULL_CONFIDENCE_SCORE = 10;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const slug = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+class CategoryClassifier {
+  constructor(categories, options = {}) {
+    this.mode = options.mode || 'suggest';
+    this.minConfidence = options.minConfidence || 60;
+
+    if (!['off', 'suggest', 'assign'].includes(this.mode)) {
+      throw new Error(`Invalid classifier mode "${this.mode}" (expected off, suggest or assign)`);
+    }
+
+    this.vocabulary = Object.entries(categories).map(([id, category]) => {
+      const keywords = (category.keywords || []).map(keyword => keyword.toLowerCase());
+      return {
+        id,
+        keywords: keywords.map(keyword => ({
+          keyword,
+          pattern: new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}([^a-z0-9]|$)`, 'i')
+        })),
+        topics: new Set([...(category.topics || []), ...keywords.map(slug), ...(category.packages || []).map(slug)]),
+        packages: new Set((category.packages || []).map(name => name.toLowerCase()))
+      };
+    });
+  }
+
+  static fromEnv(categories) {
+    return new CategoryClassifier(categories, {
+      mode: process.env.CLASSIFIER_MODE || 'suggest',
+      minConfidence: parseInt(process.env.CLASSIFIER_MIN_CONFIDENCE) || 60
+    });
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  static get manifestFiles() {
+    return Object.keys(MANIFEST_PARSERS);
+  }
+
+  static manifestsFor(language) {
+    return LANGUAGE_MANIFESTS[language] || ['package.json'];
+  }
+
+  // Dependency names from a { path: text } map of fetched manifests
+  static parseManifests(manifests = {}) {
+    return Object.entries(manifests).flatMap(([file, text]) => {
+      const parser = MANIFEST_PARSERS[file];
+      if (!parser || !text) return [];
+      try {
+        return parser(text).map(name => name.toLowerCase());
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  scoreCategory(entry, signals) {
+    const matches = [];
+    let score = 0;
+    const add = (type, value) => {
+      score += WEIGHTS[type];
+      matches.push(`${type}:${value}`);
+    };
+
+    signals.dependencies
+      .filter(name => entry.packages.has(name) || [...entry.packages].some(pkg => name.endsWith(`/${pkg}`)))
+      .forEach(name => add('package', name));
+    signals.topics
+      .filter(topic => entry.topics.has(topic))
+      .forEach(topic => add('topic', topic));
+
+    entry.keywords.forEach(({ keyword, pattern }) => {
+      if (pattern.test(signals.name)) add('name', keyword);
+      if (pattern.test(signals.description)) add('description', keyword);
+      if (pattern.test(signals.readme)) add('readme', keyword);
+    });
+
+    return { score, matches };
+  }
+
+  /**
+   * Classify a repository. `inputs` holds the decoded README text and the
+   * fetched manifests; `searchCategory` is the category whose search found it.
+   */
+  classify(repo, inputs = {}, searchCategory = null) {
+    const signals = {
+      name: (repo.name || '').replace(/[-_.]/g, ' '),
+      description: repo.description || '',
+      readme: inputs.readme || '',
+      topics: repo.topics || [],
+      dependencies: CategoryClassifier.parseManifests(inputs.manifests)
+    };
+
+    const results = this.vocabulary
+      .map(entry => ({ id: entry.id, ...this.scoreCategory(entry, signals) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const scores = {};
+    results.forEach(result => {
+      scores[result.id] = result.score;
+    });
+
+    const best = results[0] || null;
+    const total = results.reduce((sum, result) => sum + result.score, 0);
+    const confidence = best
+      ? Math.round(100 * (best.score / total) * Math.min(1, best.score / FULL_CONFIDENCE_SCORE))
+      : 0;
+
+    return {
+      category: best ? best.id : null,
+      confidence,
+      scores,
+      signals: best ? best.matches : [],
+      searchCategory,
+      disagrees: !!best && best.id !== searchCategory && confidence >= this.minConfidence,
+      assigned: false
+    };
+  }
+
+  /**
+   * In assign mode, move a confident disagreement into the classified
+   * category: it joins that category with its confidence as relevance, and
+   * leaves the search category if the classifier found no evidence for it.
+   */
+  applyToMembership(membership, classification) {
+    if (this.mode !== 'assign' || !classification || !classification.disagrees) return membership;
+
+    const { category, confidence, scores, searchCategory } = classification;
+    membership[category] = Math.max(membership[category] || 0, confidence);
+    if (!scores[searchCategory]) delete membership[searchCategory];
+    classification.assigned = true;
+
+    return membership;
+  }
+}
+
+module.exports = CategoryClassifier;
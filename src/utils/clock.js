@@ -0,0 +1,59 @@
+const moment = require('moment');
+
+/**
+ * The time that scoring, filtering and rendering treat as "now". Code that
+ * judges dates ("last push 40 days ago", "updated 3 months ago") asks a clock
+ * instead of calling moment() directly, so the same data always gives the
+ * same result for the same clock, and tests can pin it.
+ *
+ * The shared `clock` runs on real time until a script is started with
+ * `--as-of <date>`, which fixes it to that date (YYYY-MM-DD or an ISO 8601
+ * timestamp).
+ */
+class Clock {
+  constructor(asOf = null) {
+    this.setAsOf(asOf);
+  }
+
+  static parse(date) {
+    const parsed = moment(date, moment.ISO_8601, true);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid as-of date "${date}" (expected YYYY-MM-DD or an ISO 8601 timestamp)`);
+    }
+    return parsed;
+  }
+
+  // The value of `--as-of <date>` or `--as-of=<date>` in a command line, if any
+  static asOfArgument(argv = process.argv) {
+    const index = argv.findIndex(arg => arg === '--as-of' || arg.startsWith('--as-of='));
+    if (index < 0) return null;
+
+    const value = argv[index] === '--as-of' ? argv[index + 1] : argv[index].slice('--as-of='.length);
+    if (!value) throw new Error('--as-of needs a date, e.g. --as-of 2024-06-01');
+    return value;
+  }
+
+  // Fix the clock to a date, or pass null to follow real time again
+  setAsOf(date) {
+    this.fixed = date ? Clock.parse(date) : null;
+    return this;
+  }
+
+  get isFixed() {
+    return this.fixed !== null;
+  }
+
+  now() {
+    return this.fixed ? this.fixed.clone() : moment();
+  }
+
+  // "3 months ago", relative to this clock
+  fromNow(date) {
+    return moment(date).from(this.now());
+  }
+}
+
+// Shared clock for the running script
+const clock = new Clock();
+
+module.exports = { Clock, clock };
@@ -0,0 +1,73 @@
+const moment = require('moment');
+const { clock } = require('./clock');
+
+// The scanners fetch commits from the last three months
+const RECENT_WEEKS = 13;
+
+// The commit listing is capped at one page; a full page means at least this many
+const COMMIT_PAGE_SIZE = 100;
+
+const committerKey = commit => (commit.author && commit.author.login) ||
+  (commit.commit && commit.commit.author && (commit.commit.author.email || commit.commit.author.name)) ||
+  null;
+
+/**
+ * Sustainability metrics from the recent commits and contributors the
+ * scanners already fetch: how regularly the project is committed to, how
+ * many people commit, how much it depends on a single contributor (bus
+ * factor) and whether it is owned by an organization or an individual.
+ */
+class ContributorMetrics {
+  static get recentWeeks() {
+    return RECENT_WEEKS;
+  }
+
+  static analyze(repo, commits = [], contributors = [], now = clock.now()) {
+    const recentCommits = commits || [];
+    const since = now.clone().subtract(RECENT_WEEKS, 'weeks');
+
+    // Weeks in the window with at least one commit
+    const activeWeeks = new Set(recentCommits
+      .map(commit => commit.commit && commit.commit.author && commit.commit.author.date)
+      .filter(date => date && moment(date).isAfter(since))
+      .map(date => moment(date).startOf('isoWeek').format('YYYY-MM-DD'))).size;
+
+    const commitsByCommitter = {};
+    recentCommits.forEach(commit => {
+      const key = committerKey(commit);
+      if (key) commitsByCommitter[key] = (commitsByCommitter[key] || 0) + 1;
+    });
+
+    // Contribution counts from the contributors API; GraphQL enrichment has no
+    // counts, so fall back to recent commits per committer
+    const counted = (contributors || []).filter(contributor => contributor.contributions > 0);
+    const contributions = counted.length > 0
+      ? counted.map(contributor => ({ login: contributor.login, count: contributor.contributions }))
+      : Object.entries(commitsByCommitter).map(([login, count]) => ({ login, count }));
+    contributions.sort((a, b) => b.count - a.count);
+
+    const total = contributions.reduce((sum, contributor) => sum + contributor.count, 0);
+    let covered = 0;
+    let busFactor = 0;
+    for (const contributor of contributions) {
+      if (covered * 2 >= total) break;
+      covered += contributor.count;
+      busFactor++;
+    }
+
+    return {
+      recentCommits: recentCommits.length,
+      commitsCapped: recentCommits.length >= COMMIT_PAGE_SIZE,
+      activeWeeks,
+      weeksObserved: RECENT_WEEKS,
+      recentCommitters: Object.keys(commitsByCommitter).length,
+      topContributor: contributions.length > 0 ? contributions[0].login : null,
+      topContributorShare: total > 0 ? Math.round((contributions[0].count / total) * 100) : null,
+      busFactor,
+      contributionSource: counted.length > 0 ? 'contributors' : 'commits',
+      ownerType: repo.owner && repo.owner.type ? repo.owner.type : null
+    };
+  }
+}
+
+module.exports = ContributorMetrics;
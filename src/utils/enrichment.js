@@ -0,0 +1,188 @@
+const GraphQLEnricher = require('./graphql-enricher');
+const WorkerPool = require('./worker-pool');
+const CategoryClassifier = require('./classifier');
+const IssueHealth = require('./issue-health');
+const SecurityPosture = require('./security-posture');
+const ScorecardChecks = require('./scorecard');
+const CIDetector = require('./ci-detector');
+const { QualityScorer } = require('./scoring');
+const { clock } = require('./clock');
+
+/**
+ * Fetches the raw inputs a repository is scored from, over REST or batched
+ * through GraphQL, for both scanners. Scoring them is up to ScoringInputs.
+ */
+class Enricher {
+  constructor(github, options = {}) {
+    this.github = github;
+    this.classifier = options.classifier || null;
+    this.pool = options.pool || new WorkerPool(1);
+    this.clock = options.clock || clock;
+
+    // Enrichment backend: 'rest' (per-repo calls) or 'graphql' (batched)
+    this.backend = options.backend || 'rest';
+    this.graphqlEnricher = this.backend === 'graphql' ? new GraphQLEnricher(github) : null;
+  }
+
+  // Batch-fetch enrichment inputs via GraphQL when that backend is enabled.
+  // Repositories missing from the result fall back to REST in fetchInputs.
+  async prefetch(repos) {
+    if (!this.graphqlEnricher || repos.length === 0) return new Map();
+
+    try {
+      return await this.graphqlEnricher.fetchBatch(repos, this.clock.now().subtract(3, 'months').toISOString());
+    } catch (error) {
+      console.error('    ⚠️  GraphQL enrichment failed, falling back to REST:', error.message);
+      return new Map();
+    }
+  }
+
+  async fetchInputs(owner, repo, language = null) {
+    // Get additional data for scoring
+    const [readme, releases, commits, contributors] = await Promise.all([
+      this.github.getRepositoryReadme(owner, repo),
+      this.github.getRepositoryReleases(owner, repo),
+      this.github.getRepositoryCommits(owner, repo, this.clock.now().subtract(3, 'months').toISOString()),
+      this.github.getRepositoryContributors(owner, repo)
+    ]);
+
+    // The root, .github/ and docs/ listings and the workflow files serve the
+    // file checks, CI detection and the security checks, so each is fetched once
+    const [root, dotGithub, workflows] = await Promise.all([
+      this.listDirectory(owner, repo, ''),
+      this.listDirectory(owner, repo, '.github'),
+      this.github.getWorkflowFiles(owner, repo)
+    ]);
+    const docs = root && root.includes('docs') ? await this.listDirectory(owner, repo, 'docs') : null;
+    const paths = root ? [
+      ...root,
+      ...(dotGithub || []).map(name => `.github/${name}`),
+      ...(docs || []).map(name => `docs/${name}`)
+    ] : null;
+
+    const [ci, security] = await Promise.all([
+      CIDetector.fetchConfigs(this.github, owner, repo, paths),
+      this.fetchSecurityFiles(owner, repo, paths, workflows)
+    ]);
+
+    const manifests = this.classifier && this.classifier.enabled ? await this.fetchManifests(owner, repo, language) : {};
+    const issueActivity = await this.fetchIssueActivity(owner, repo);
+
+    return {
+      readme,
+      releases,
+      commits,
+      contributors,
+      license: !!paths && !!ScorecardChecks.findLicenseFile(paths),
+      contributing: !!paths && QualityScorer.contributingFiles.some(file => paths.includes(file)),
+      ci,
+      manifests,
+      issueActivity,
+      security
+    };
+  }
+
+  // Entry names in a directory, or null when it is missing or could not be listed
+  async listDirectory(owner, repo, dir) {
+    try {
+      const listing = await this.github.getRepositoryContents(owner, repo, dir);
+      return Array.isArray(listing) ? listing.map(entry => entry.name) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Recent issues and PRs with their comments, and the least recently updated open issues
+  async fetchIssueActivity(owner, repo) {
+    const [recent, openByUpdated] = await Promise.all([
+      this.github.getRepositoryIssues(owner, repo),
+      this.github.getRepositoryIssues(owner, repo, { state: 'open', sort: 'updated', direction: 'asc' })
+    ]);
+    const comments = recent.length > 0
+      ? await this.github.getRepositoryIssueComments(owner, repo, recent[recent.length - 1].created_at)
+      : [];
+
+    return IssueHealth.fromRest(recent, comments, openByUpdated);
+  }
+
+  // Security policy, dependency update, code owner, fuzzing and license files
+  // among the listed root, .github/ and docs/ paths, with the workflow files
+  async fetchSecurityFiles(owner, repo, paths, workflows) {
+    if (!paths) return null; // Unchecked rather than guessing
+
+    try {
+      const licenseFile = ScorecardChecks.findLicenseFile(paths);
+      const license = licenseFile ? await this.github.getRepositoryContents(owner, repo, licenseFile) : null;
+
+      return {
+        files: [...SecurityPosture.matchFiles(paths), ...ScorecardChecks.fuzzingPaths.filter(file => paths.includes(file))],
+        workflows,
+        license: license && license.content ? {
+          path: licenseFile,
+          content: Buffer.from(license.content, 'base64').toString().slice(0, ScorecardChecks.licenseTextLength)
+        } : null
+      };
+    } catch (error) {
+      return null; // Unchecked rather than failing the whole enrichment
+    }
+  }
+
+  // Dependency manifests for the classifier, as { file: text }
+  async fetchManifests(owner, repo, language) {
+    const manifests = {};
+    await Promise.all(CategoryClassifier.manifestsFor(language).map(async file => {
+      const content = await this.github.getRepositoryContents(owner, repo, file);
+      if (content && content.content) {
+        manifests[file] = Buffer.from(content.content, 'base64').toString();
+      }
+    }));
+    return manifests;
+  }
+
+  /**
+   * Fetch and enrich a category's `include` list of owner/repo names that are
+   * not in `repositories` yet. These skip the search filters and exclusion
+   * rules, so a canonical tool is never missed. `enrich(repo, prefetched)` is
+   * the scanner's enrichRepository; each enriched repository is recorded as
+   * allowlisted, added to `repositories` and handed to `onRepository`.
+   */
+  async includeAllowlist(category, repositories, enrich, onRepository = null) {
+    const pending = (category.include || [])
+      .filter(fullName => !repositories.find(r => r.full_name.toLowerCase() === fullName.toLowerCase()));
+    if (pending.length === 0) return;
+
+    console.log(`  📌 Including ${pending.length} allowlisted repositories`);
+
+    const repos = (await this.pool.map(pending, async fullName => {
+      const [owner, repo] = fullName.split('/');
+      try {
+        return await this.github.getRepository(owner, repo);
+      } catch (error) {
+        console.error(`    ❌ Allowlisted repository ${fullName} not found:`, error.message);
+        return null;
+      }
+    })).filter(Boolean);
+    const prefetched = await this.prefetch(repos);
+
+    await this.pool.map(repos, async repo => {
+      const enrichedRepo = await enrich(repo, prefetched.get(repo.full_name));
+      if (enrichedRepo) {
+        Enricher.recordDiscovery(enrichedRepo, { type: 'allowlist' });
+        repositories.push(enrichedRepo);
+        console.log(`    ✅ ${repo.full_name} (${enrichedRepo.qualityScore.total}/100)`);
+        if (onRepository) await onRepository(enrichedRepo);
+      }
+    });
+  }
+
+  // Remember which discovery source (search, topic, org or allowlist) surfaced a repository
+  static recordDiscovery(repo, source) {
+    repo.discoveredBy = repo.discoveredBy || [];
+    const known = repo.discoveredBy.some(d => JSON.stringify(d) === JSON.stringify(source));
+    if (!known) repo.discoveredBy.push(source);
+
+    repo.matchedLanguages = [...new Set(repo.discoveredBy.map(d => d.language).filter(Boolean))];
+  }
+}
+
+module.exports = Enricher;
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const { clock } = require('./clock');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'config', 'exclusions.json');
+
+const RULE_TYPES = {
+  denyRepos: 'list',
+  denyOwners: 'list',
+  namePatterns: 'list',
+  descriptionPatterns: 'list',
+  minReadmeLength: 'number',
+  requireLicense: 'boolean'
+};
+
+/**
+ * Exclusion rule engine. Combines the basic validity filters (archived,
+ * forks, stars, activity) with configurable rules from
+ * src/config/exclusions.json, extended per category by its `exclusions`
+ * block: lists are appended to the global ones, scalar rules override them.
+ *
+ * Every excluded repository is recorded with the rule that matched so a run
+ * can write a report of what was left out and why.
+ */
+class ExclusionRules {
+  constructor(config = {}, options = {}) {
+    this.config = config;
+    this.minStars = options.minStars || 0;
+    this.maxAgeMonths = options.maxAgeMonths || 0;
+    this.clock = options.clock || clock;
+
+    this.compiled = new Map();
+    this.excluded = new Map();
+    this.compile(config, 'global exclusions');
+
+    // Validate every category's rules up front rather than mid-scan
+    (options.categories || []).forEach(category => this.rulesFor(category));
+  }
+
+  static fromConfig(options = {}) {
+    const file = process.env.EXCLUSIONS_FILE || DEFAULT_FILE;
+    const config = fs.existsSync(file) ? fs.readJsonSync(file) : {};
+    return new ExclusionRules(config, options);
+  }
+
+  // Validate and compile a rule set, throwing on unknown rules or bad regexes
+  compile(rules, label) {
+    const errors = [];
+
+    Object.entries(rules).forEach(([rule, value]) => {
+      const type = RULE_TYPES[rule];
+      if (!type) {
+        errors.push(`unknown rule "${rule}"`);
+      } else if (type === 'list' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+        errors.push(`"${rule}" must be a list of strings`);
+      } else if (type !== 'list' && typeof value !== type) {
+        errors.push(`"${rule}" must be a ${type}`);
+      }
+    });
+
+    const toRegexes = patterns => (patterns || []).map(pattern => {
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`invalid pattern ${JSON.stringify(pattern)}: ${error.message}`);
+        return null;
+      }
+    });
+
+    const compiled = {
+      denyRepos: new Set((rules.denyRepos || []).map(name => name.toLowerCase())),
+      denyOwners: new Set((rules.denyOwners || []).map(name => name.toLowerCase())),
+      namePatterns: toRegexes(rules.namePatterns),
+      descriptionPatterns: toRegexes(rules.descriptionPatterns),
+      minReadmeLength: rules.minReadmeLength || 0,
+      requireLicense: !!rules.requireLicense
+    };
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${label}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return compiled;
+  }
+
+  // Global rules merged with a category's own `exclusions` block
+  rulesFor(category) {
+    const key = category ? category.id : null;
+    if (!this.compiled.has(key)) {
+      const overrides = (category && category.exclusions) || {};
+      const merged = { ...this.config, ...overrides };
+      Object.keys(RULE_TYPES)
+        .filter(rule => RULE_TYPES[rule] === 'list')
+        .forEach(rule => {
+          merged[rule] = [...(this.config[rule] || []), ...(overrides[rule] || [])];
+        });
+
+      this.compiled.set(key, this.compile(merged, `exclusions for category "${key}"`));
+    }
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Returns the first rule a repository breaks as { rule, reason }, or null.
+   * The README length rule only applies once the repository is enriched.
+   */
+  check(repo, category = null) {
+    const rules = this.rulesFor(category);
+    const fullName = (repo.full_name || '').toLowerCase();
+    const owner = repo.owner && repo.owner.login ? repo.owner.login.toLowerCase() : fullName.split('/')[0];
+
+    if (repo.archived) {
+      return { rule: 'archived', reason: 'Repository is archived' };
+    }
+    if (repo.fork && repo.stargazers_count < this.minStars * 2) {
+      return { rule: 'fork', reason: `Fork with fewer than ${this.minStars * 2} stars` };
+    }
+    if (repo.stargazers_count < this.minStars) {
+      return { rule: 'minStars', reason: `Fewer than ${this.minStars} stars` };
+    }
+    if (this.maxAgeMonths && this.clock.now().diff(moment(repo.pushed_at), 'months') > this.maxAgeMonths) {
+      return { rule: 'inactive', reason: `No pushes in the last ${this.maxAgeMonths} months` };
+    }
+    if (rules.denyRepos.has(fullName)) {
+      return { rule: 'denyRepos', reason: 'Repository is denylisted' };
+    }
+    if (rules.denyOwners.has(owner)) {
+      return { rule: 'denyOwners', reason: `Owner ${owner} is denylisted` };
+    }
+
+    const namePattern = rules.namePatterns.find(pattern => pattern.test(repo.name || ''));
+    if (namePattern) {
+      return { rule: 'namePatterns', reason: `Name matches ${namePattern}` };
+    }
+
+    const descriptionPattern = rules.descriptionPatterns.find(pattern => pattern.test(repo.description || ''));
+    if (descriptionPattern) {
+      return { rule: 'descriptionPatterns', reason: `Description matches ${descriptionPattern}` };
+    }
+
+    if (rules.requireLicense && !repo.license && !(repo.additionalData && repo.additionalData.hasLicense)) {
+      return { rule: 'requireLicense', reason: 'No license' };
+    }
+
+    if (repo.additionalData && repo.additionalData.readmeLength < rules.minReadmeLength) {
+      return { rule: 'minReadmeLength', reason: `README shorter than ${rules.minReadmeLength} characters (${repo.additionalData.readmeLength})` };
+    }
+
+    return null;
+  }
+
+  // Check a repository and record it in the report if it is excluded
+  // (repositories excluded earlier in the run stay excluded without re-checking)
+  exclude(repo, category = null) {
+    const categoryId = category ? category.id : null;
+    const key = `${categoryId}:${repo.full_name}`;
+    if (this.excluded.has(key)) return true;
+
+    const match = this.check(repo, category);
+    if (!match) return false;
+
+    this.excluded.set(key, {
+      full_name: repo.full_name,
+      html_url: repo.html_url,
+      category: categoryId,
+      rule: match.rule,
+      reason: match.reason
+    });
+    return true;
+  }
+
+  getReport() {
+    const repositories = [...this.excluded.values()];
+    const byRule = {};
+    repositories.forEach(entry => {
+      byRule[entry.rule] = (byRule[entry.rule] || 0) + 1;
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      total: repositories.length,
+      byRule,
+      repositories
+    };
+  }
+
+  async writeReport(filePath) {
+    const report = this.getReport();
+    await fs.outputJson(filePath, report, { spaces: 2 });
+    return report;
+  }
+}
+
+module.exports = ExclusionRules;
@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const Helpers = require('./helpers');
+
+/**
+ * Records GitHub API responses to a fixture directory and replays them later,
+ * so a full scan can run without a token or network access.
+ *
+ * Modes (GITHUB_FIXTURES_MODE):
+ *   record - pass requests through to GitHub and save every response/error
+ *   replay - answer requests from the fixture directory only
+ */
+class FixtureStore {
+  constructor(dir, mode) {
+    this.dir = dir;
+    this.mode = mode;
+  }
+
+  static fromEnv() {
+    const mode = process.env.GITHUB_FIXTURES_MODE;
+    if (!mode) return null;
+
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Invalid GITHUB_FIXTURES_MODE "${mode}" (expected "record" or "replay")`);
+    }
+
+    const dir = process.env.GITHUB_FIXTURES_DIR || path.join(__dirname, '..', '..', 'fixtures', 'github');
+    return new FixtureStore(dir, mode);
+  }
+
+  get isReplay() {
+    return this.mode === 'replay';
+  }
+
+  // Scans embed "now"-relative dates in queries (pushed:>, REST since= and the
+  // GraphQL $since variable), so those are masked out of the key to keep a
+  // recording usable on later days. Explicit ranges such as
+  // created:2023-01-01..2023-12-31 stay, one fixture per window.
+  describeRequest(options) {
+    return Helpers.describeRequest(options)
+      .replace(/pushed:>\d{4}-\d{2}-\d{2}(T[\d:.]+Z)?/g, 'pushed:><date>')
+      .replace(/since="[^"]*"/g, 'since="<date>"')
+      .replace(/"since":"[^"]*"/g, '"since":"<date>"');
+  }
+
+  fixturePath(description) {
+    const hash = crypto.createHash('sha1').update(description).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  install(octokit) {
+    octokit.hook.wrap('request', async (request, options) => {
+      const description = this.describeRequest(options);
+      const file = this.fixturePath(description);
+
+      if (this.isReplay) {
+        return this.replay(file, description);
+      }
+
+      try {
+        const response = await request(options);
+        await this.save(file, description, {
+          status: response.status,
+          headers: response.headers,
+          data: response.data
+        });
+        return response;
+      } catch (error) {
+        if (error.status) {
+          await this.save(file, description, {
+            status: error.status,
+            headers: error.response ? error.response.headers : {},
+            error: error.message
+          });
+        }
+        throw error;
+      }
+    });
+  }
+
+  async save(file, description, entry) {
+    await fs.outputJson(file, { request: description, ...entry }, { spaces: 2 });
+  }
+
+  async replay(file, description) {
+    const entry = await fs.readJson(file).catch(() => null);
+
+    if (!entry) {
+      const error = new Error(`No recorded fixture for ${description}`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (entry.error) {
+      const error = new Error(entry.error);
+      error.status = entry.status;
+      error.response = { status: entry.status, headers: entry.headers, data: {} };
+      throw error;
+    }
+
+    return {
+      status: entry.status,
+      url: '',
+      headers: entry.headers,
+      data: entry.data
+    };
+  }
+}
+
+module.exports = FixtureStore;
@@ -1,5 +1,9 @@
 const { Octokit } = require('@octokit/rest');
 const moment = require('moment');
+const FixtureStore = require('./fixtures');
+const ResponseCache = require('./response-cache');
+const RateLimitGovernor = require('./rate-limiter');
+const { clock } = require('./clock');
 
 class GitHubAPI {
   constructor(token) {
@@ -7,73 +11,81 @@ class GitHubAPI {
       auth: token,
       userAgent: 'test-automation-resources-scanner v1.0.0'
     });
-    this.rateLimitDelay = parseInt(process.env.RATE_LIMIT_DELAY) || 1000;
+
+    // Optional record/replay of every API response (see utils/fixtures.js)
+    this.fixtures = FixtureStore.fromEnv();
+    const replaying = this.fixtures && this.fixtures.isReplay;
+
+    // Hooks wrap in install order, innermost first:
+    // rate-limit governor -> conditional-request cache -> fixtures
+    this.governor = replaying ? null : RateLimitGovernor.fromEnv();
+    if (this.governor) {
+      this.governor.install(this.octokit);
+    }
+
+    this.cache = replaying ? null : ResponseCache.fromEnv();
+    if (this.cache) {
+      this.cache.install(this.octokit);
+    }
+
+    if (this.fixtures) {
+      this.fixtures.install(this.octokit);
+      console.log(`📼 GitHub fixtures: ${this.fixtures.mode} (${this.fixtures.dir})`);
+    }
   }
 
   async searchRepositories(query, options = {}) {
     const { page = 1, perPage = 100, sort = 'stars', order = 'desc' } = options;
     
-    try {
-      await this.delay(this.rateLimitDelay);
-      
-      const response = await this.octokit.rest.search.repos({
-        q: query,
-        sort,
-        order,
-        page,
-        per_page: perPage
-      });
+    const response = await this.octokit.rest.search.repos({
+      q: query,
+      sort,
+      order,
+      page,
+      per_page: perPage
+    });
 
-      return response.data;
-    } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.searchRepositories(query, options);
-      }
-      throw error;
-    }
+    return response.data;
   }
 
   async getRepository(owner, repo) {
+    const response = await this.octokit.rest.repos.get({
+      owner,
+      repo
+    });
+
+    return response.data;
+  }
+
+  async getRepositoryContents(owner, repo, path = '') {
     try {
-      await this.delay(this.rateLimitDelay);
-      
-      const response = await this.octokit.rest.repos.get({
+      const response = await this.octokit.rest.repos.getContent({
         owner,
-        repo
+        repo,
+        path
       });
 
       return response.data;
     } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.getRepository(owner, repo);
+      if (error.status === 404) {
+        return null; // File doesn't exist
       }
       throw error;
     }
   }
 
-  async getRepositoryContents(owner, repo, path = '') {
+  // The repository's README whatever its name or format (README.rst, readme.md, README...)
+  async getRepositoryReadme(owner, repo) {
     try {
-      await this.delay(this.rateLimitDelay);
-      
-      const response = await this.octokit.rest.repos.getContent({
+      const response = await this.octokit.rest.repos.getReadme({
         owner,
-        repo,
-        path
+        repo
       });
 
       return response.data;
     } catch (error) {
       if (error.status === 404) {
-        return null; // File doesn't exist
-      }
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.getRepositoryContents(owner, repo, path);
+        return null; // No README
       }
       throw error;
     }
@@ -81,8 +93,6 @@ class GitHubAPI {
 
   async getRepositoryReleases(owner, repo) {
     try {
-      await this.delay(this.rateLimitDelay);
-      
       const response = await this.octokit.rest.repos.listReleases({
         owner,
         repo,
@@ -91,19 +101,12 @@ class GitHubAPI {
 
       return response.data;
     } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.getRepositoryReleases(owner, repo);
-      }
       return []; // No releases or error
     }
   }
 
   async getRepositoryCommits(owner, repo, since = null) {
     try {
-      await this.delay(this.rateLimitDelay);
-      
       const params = {
         owner,
         repo,
@@ -117,19 +120,12 @@ class GitHubAPI {
       const response = await this.octokit.rest.repos.listCommits(params);
       return response.data;
     } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.getRepositoryCommits(owner, repo, since);
-      }
       return []; // No commits or error
     }
   }
 
   async getRepositoryContributors(owner, repo) {
     try {
-      await this.delay(this.rateLimitDelay);
-      
       const response = await this.octokit.rest.repos.listContributors({
         owner,
         repo,
@@ -138,18 +134,94 @@ class GitHubAPI {
 
       return response.data;
     } catch (error) {
-      if (error.status === 403 && error.message.includes('rate limit')) {
-        console.log('Rate limit hit, waiting 60 seconds...');
-        await this.delay(60000);
-        return this.getRepositoryContributors(owner, repo);
-      }
       return []; // No contributors or error
     }
   }
 
+  // Issues and pull requests, newest first unless `options` says otherwise
+  async getRepositoryIssues(owner, repo, options = {}) {
+    try {
+      const response = await this.octokit.rest.issues.listForRepo({
+        owner,
+        repo,
+        state: 'all',
+        sort: 'created',
+        direction: 'desc',
+        per_page: 100,
+        ...options
+      });
+
+      return response.data;
+    } catch (error) {
+      return []; // Issues disabled or error
+    }
+  }
+
+  // Issue and pull request comments across the repository, oldest first
+  async getRepositoryIssueComments(owner, repo, since = null) {
+    try {
+      const params = {
+        owner,
+        repo,
+        sort: 'created',
+        direction: 'asc',
+        per_page: 100
+      };
+
+      if (since) {
+        params.since = since;
+      }
+
+      const response = await this.octokit.rest.issues.listCommentsForRepo(params);
+      return response.data;
+    } catch (error) {
+      return []; // No comments or error
+    }
+  }
+
+  // GitHub Actions workflow files as { name, path, content }, at most `limit` of them
+  async getWorkflowFiles(owner, repo, limit = 10) {
+    try {
+      const listing = await this.getRepositoryContents(owner, repo, '.github/workflows');
+      if (!Array.isArray(listing)) return [];
+
+      const files = listing
+        .filter(entry => entry.type === 'file' && /\.ya?ml$/i.test(entry.name))
+        .slice(0, limit);
+
+      return await Promise.all(files.map(async file => {
+        const blob = await this.getRepositoryContents(owner, repo, file.path);
+        return {
+          name: file.name,
+          path: file.path,
+          content: blob && blob.content ? Buffer.from(blob.content, 'base64').toString() : null
+        };
+      }));
+    } catch (error) {
+      return []; // No workflows or error
+    }
+  }
+
+  async graphql(query, variables = {}) {
+    try {
+      return await this.octokit.graphql(query, variables);
+    } catch (error) {
+      // Partial results (e.g. one renamed or deleted repository) still carry data
+      if (error.data) {
+        const messages = (error.errors || []).map(e => e.message).join('; ');
+        console.log(`⚠️  GraphQL returned partial data: ${messages}`);
+        return error.data;
+      }
+      throw error;
+    }
+  }
+
   async getRateLimit() {
     try {
       const response = await this.octokit.rest.rateLimit.get();
+      if (this.governor) {
+        this.governor.seed(response.data.resources);
+      }
       return response.data;
     } catch (error) {
       console.error('Error getting rate limit:', error);
@@ -157,8 +229,8 @@ class GitHubAPI {
     }
   }
 
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getCacheStats() {
+    return this.cache ? this.cache.getStats() : null;
   }
 
   buildSearchQuery(terms, filters = {}) {
@@ -166,13 +238,28 @@ class GitHubAPI {
     
     // Add filters
     if (filters.language) {
-      query += ` language:${filters.language}`;
+      query += ` language:${this.languageQualifier(filters.language)}`;
     }
     
-    if (filters.minStars) {
+    // An explicit star range (e.g. "50..199") takes precedence over minStars
+    if (filters.stars) {
+      query += ` stars:${filters.stars}`;
+    } else if (filters.minStars) {
       query += ` stars:>=${filters.minStars}`;
     }
     
+    if (filters.created) {
+      query += ` created:${filters.created}`;
+    }
+    
+    if (filters.topic) {
+      query += ` topic:${filters.topic}`;
+    }
+    
+    if (filters.org) {
+      query += ` org:${filters.org}`;
+    }
+    
     if (filters.pushed) {
       query += ` pushed:>${filters.pushed}`;
     }
@@ -185,12 +272,21 @@ class GitHubAPI {
       query += ' fork:false';
     }
 
-    return query;
+    // Topic and org queries have no search terms
+    return query.trim();
+  }
+
+  // GitHub's search syntax needs aliases for languages with symbols in
+  // their name and quotes for names containing spaces
+  languageQualifier(language) {
+    const aliases = { 'C#': 'csharp', 'C++': 'cpp', 'F#': 'fsharp', 'Objective-C': 'objective-c' };
+    if (aliases[language]) return aliases[language];
+    return language.includes(' ') ? `"${language}"` : language;
   }
 
   isRepositoryActive(repo, maxAgeMonths = 18) {
     const lastUpdate = moment(repo.pushed_at);
-    const monthsOld = moment().diff(lastUpdate, 'months');
+    const monthsOld = clock.now().diff(lastUpdate, 'months');
     return monthsOld <= maxAgeMonths;
   }
 }
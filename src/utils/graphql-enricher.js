@@ -0,0 +1,189 @@
+const Helpers = require('./helpers');
+const CategoryClassifier = require('./classifier');
+const ReadmeAnalyzer = require('./readme-analyzer');
+const IssueHealth = require('./issue-health');
+const SecurityPosture = require('./security-posture');
+const ScorecardChecks = require('./scorecard');
+const CIDetector = require('./ci-detector');
+const { QualityScorer } = require('./scoring');
+
+// Workflow files read for security signals, as on the REST path
+const MAX_WORKFLOW_FILES = 10;
+
+/**
+ * GraphQL enrichment backend. Fetches the raw scoring inputs of a whole batch
+ * of repositories in one query, in the shape utils/enrichment.js builds over
+ * REST.
+ *
+ * GraphQL has no contributors connection, so contributors are the
+ * repository's mentionable users. They carry no contribution counts and only
+ * approximate the REST list; ContributorMetrics uses recent commits for the
+ * bus factor instead.
+ */
+class GraphQLEnricher {
+  constructor(github, options = {}) {
+    this.github = github;
+    this.batchSize = options.batchSize || parseInt(process.env.GRAPHQL_BATCH_SIZE) || 10;
+  }
+
+  buildQuery(repos) {
+    // Contributing guides (contributing0..N); the license comes from licenseFile0..N below
+    const fileFields = QualityScorer.contributingFiles
+      .map((file, index) => `contributing${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { oid }`)
+      .join('\n    ');
+    // Dependency manifests for the category classifier (manifest0..N)
+    const manifestFields = CategoryClassifier.manifestFiles
+      .map((file, index) => `manifest${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { ... on Blob { text } }`)
+      .join('\n    ');
+
+    // Security policy, dependency update and code owner files (security0..N)
+    const securityFields = SecurityPosture.candidatePaths
+      .map((file, index) => `security${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { oid }`)
+      .join('\n    ');
+
+    // CI configs with their text; the workflows directory is a tree (ci0..N)
+    const ciFields = CIDetector.candidatePaths
+      .map((file, index) => `ci${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { oid ... on Blob { text } }`)
+      .join('\n    ');
+
+    // Fuzzing paths (fuzz0..N) and license files with their text (licenseFile0..N)
+    const scorecardFields = [
+      ...ScorecardChecks.fuzzingPaths
+        .map((file, index) => `fuzz${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { oid }`),
+      ...ScorecardChecks.licenseFiles
+        .map((file, index) => `licenseFile${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { ... on Blob { text } }`)
+    ].join('\n    ');
+
+    // README under any of the names GitHub recognises (readme0..N)
+    const readmeFields = ReadmeAnalyzer.readmeFiles
+      .map((file, index) => `readme${index}: object(expression: ${JSON.stringify('HEAD:' + file)}) { ... on Blob { text } }`)
+      .join('\n    ');
+
+    const repoFields = repos.map((repo, index) => {
+      const info = Helpers.extractRepoInfo(repo.html_url);
+      return `r${index}: repository(owner: ${JSON.stringify(info.owner)}, name: ${JSON.stringify(info.repo)}) { ...EnrichmentFields }`;
+    }).join('\n  ');
+
+    return `query($since: GitTimestamp!) {
+  ${repoFields}
+}
+
+fragment EnrichmentFields on Repository {
+    ${readmeFields}
+    ${fileFields}
+    ${manifestFields}
+    ${securityFields}
+    ${scorecardFields}
+    ${ciFields}
+    workflowFiles: object(expression: ${JSON.stringify('HEAD:' + SecurityPosture.workflowsDir)}) {
+      ... on Tree { entries { name path type object { ... on Blob { text } } } }
+    }
+    releases(first: 10, orderBy: {field: CREATED_AT, direction: DESC}) {
+      nodes { name tagName url createdAt publishedAt isPrerelease releaseAssets(first: 20) { nodes { name } } }
+    }
+    mentionableUsers(first: 100) { nodes { login } }
+    issues(first: 50, orderBy: {field: CREATED_AT, direction: DESC}) {
+      nodes { createdAt closedAt author { login } comments(first: 1) { nodes { createdAt author { login } } } }
+    }
+    pullRequests(first: 50, orderBy: {field: CREATED_AT, direction: DESC}) {
+      nodes { createdAt closedAt author { login } comments(first: 1) { nodes { createdAt author { login } } } }
+    }
+    staleIssues: issues(states: OPEN, first: 100, orderBy: {field: UPDATED_AT, direction: ASC}) { nodes { updatedAt } }
+    defaultBranchRef {
+      target {
+        ... on Commit {
+          history(first: 100, since: $since) {
+            nodes { oid committedDate author { name email user { login } } }
+          }
+        }
+      }
+    }
+}`;
+  }
+
+  // Returns a Map of full_name -> raw enrichment inputs. Repositories the
+  // query could not resolve are left out so callers can fall back to REST.
+  async fetchBatch(repos, since) {
+    const results = new Map();
+
+    for (const batch of Helpers.chunkArray(repos, this.batchSize)) {
+      const data = await this.github.graphql(this.buildQuery(batch), { since });
+
+      batch.forEach((repo, index) => {
+        const node = data && data[`r${index}`];
+        if (node) {
+          results.set(repo.full_name, this.toEnrichmentInputs(node));
+        }
+      });
+    }
+
+    return results;
+  }
+
+  toEnrichmentInputs(node) {
+    const readmeIndex = ReadmeAnalyzer.readmeFiles.findIndex((file, index) => node[`readme${index}`] && node[`readme${index}`].text);
+    const readmeText = readmeIndex >= 0 ? node[`readme${readmeIndex}`].text : null;
+    const licenseIndex = ScorecardChecks.licenseFiles.findIndex((file, index) => node[`licenseFile${index}`] && node[`licenseFile${index}`].text);
+    const history = node.defaultBranchRef && node.defaultBranchRef.target && node.defaultBranchRef.target.history;
+    const manifests = {};
+    CategoryClassifier.manifestFiles.forEach((file, index) => {
+      const blob = node[`manifest${index}`];
+      if (blob && blob.text) manifests[file] = blob.text;
+    });
+
+    return {
+      readme: readmeText ? {
+        path: ReadmeAnalyzer.readmeFiles[readmeIndex],
+        encoding: 'base64',
+        content: Buffer.from(readmeText).toString('base64')
+      } : null,
+      releases: node.releases.nodes.map(release => ({
+        name: release.name,
+        tag_name: release.tagName,
+        html_url: release.url,
+        created_at: release.createdAt,
+        published_at: release.publishedAt,
+        prerelease: release.isPrerelease,
+        assets: release.releaseAssets ? release.releaseAssets.nodes.map(asset => ({ name: asset.name })) : []
+      })),
+      commits: history ? history.nodes.map(commit => ({
+        sha: commit.oid,
+        commit: {
+          author: {
+            name: commit.author && commit.author.name,
+            email: commit.author && commit.author.email,
+            date: commit.committedDate
+          }
+        },
+        author: commit.author && commit.author.user ? { login: commit.author.user.login } : null
+      })) : [],
+      // Approximation: mentionable users, without contribution counts (see above)
+      contributors: node.mentionableUsers.nodes.map(user => ({ login: user.login })),
+      license: licenseIndex >= 0,
+      contributing: QualityScorer.contributingFiles.some((file, index) => !!node[`contributing${index}`]),
+      ci: {
+        configs: CIDetector.candidatePaths
+          .map((file, index) => node[`ci${index}`] ? { path: file, content: node[`ci${index}`].text || null } : null)
+          .filter(Boolean)
+      },
+      manifests,
+      issueActivity: node.issues ? IssueHealth.fromGraphQL(node.issues.nodes, node.pullRequests.nodes, node.staleIssues.nodes) : null,
+      security: {
+        files: [
+          ...SecurityPosture.candidatePaths.filter((file, index) => !!node[`security${index}`]),
+          ...ScorecardChecks.fuzzingPaths.filter((file, index) => !!node[`fuzz${index}`])
+        ],
+        workflows: (node.workflowFiles && node.workflowFiles.entries ? node.workflowFiles.entries : [])
+          .filter(entry => entry.type === 'blob' && /\.ya?ml$/i.test(entry.name))
+          .slice(0, MAX_WORKFLOW_FILES)
+          .map(entry => ({ name: entry.name, path: entry.path, content: entry.object ? entry.object.text : null })),
+        license: licenseIndex >= 0 ? {
+          path: ScorecardChecks.licenseFiles[licenseIndex],
+          content: node[`licenseFile${licenseIndex}`].text.slice(0, ScorecardChecks.licenseTextLength)
+        } : null
+      }
+    };
+  }
+}
+
+module.exports = GraphQLEnricher;
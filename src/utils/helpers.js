@@ -1,6 +1,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
+const { clock } = require('./clock');
 
 class Helpers {
   static async ensureDirectory(dirPath) {
@@ -44,8 +45,33 @@ class Helpers {
     return moment(dateString).format('MMM DD, YYYY');
   }
 
+  // "5 hours", "3.5 days" from a number of hours
+  static formatDuration(hours) {
+    if (hours < 1) return `${Math.round(hours * 60)} minutes`;
+    if (hours < 48) return `${Math.round(hours)} hours`;
+    return `${Math.round((hours / 24) * 10) / 10} days`;
+  }
+
+  // Inline SVG sparkline for a series of numbers (empty with fewer than two)
+  static sparkline(values, options = {}) {
+    if (!values || values.length < 2) return '';
+
+    const width = options.width || 120;
+    const height = options.height || 32;
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const points = values.map((value, index) => {
+      const x = (index / (values.length - 1)) * (width - 4) + 2;
+      const y = height - 2 - ((value - min) / range) * (height - 4);
+      return `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+    });
+
+    return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${options.label || 'Trend'}: ${values.join(', ')}">` +
+      `<polyline points="${points.join(' ')}" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/></svg>`;
+  }
+
   static formatRelativeDate(dateString) {
-    return moment(dateString).fromNow();
+    return clock.fromNow(dateString);
   }
 
   static slugify(text) {
@@ -86,15 +112,6 @@ class Helpers {
     return Math.round((value / total) * 100);
   }
 
-  static getGrade(score) {
-    if (score >= 90) return 'A+';
-    if (score >= 80) return 'A';
-    if (score >= 70) return 'B';
-    if (score >= 60) return 'C';
-    if (score >= 50) return 'D';
-    return 'F';
-  }
-
   static sortByScore(repositories) {
     return repositories.sort((a, b) => {
       if (b.qualityScore.total !== a.qualityScore.total) {
@@ -115,14 +132,71 @@ class Helpers {
     });
 
     repositories.forEach(repo => {
-      if (repo.category && grouped[repo.category]) {
-        grouped[repo.category].repositories.push(repo);
-      }
+      this.getRepositoryCategories(repo)
+        .filter(categoryId => grouped[categoryId])
+        .forEach(categoryId => grouped[categoryId].repositories.push(repo));
     });
 
     return grouped;
   }
 
+  // Every category a repository belongs to, primary first. Data saved before
+  // multi-category membership only has the single `category` field.
+  static getRepositoryCategories(repo) {
+    if (Array.isArray(repo.categories) && repo.categories.length > 0) {
+      return repo.categories;
+    }
+    return repo.category ? [repo.category] : [];
+  }
+
+  static getCategoryRelevance(repo, categoryId) {
+    if (repo.categoryRelevance && repo.categoryRelevance[categoryId] !== undefined) {
+      return repo.categoryRelevance[categoryId];
+    }
+    // Memberships saved without a relevance score count as an average fit
+    return this.getRepositoryCategories(repo).includes(categoryId) ? 50 : 0;
+  }
+
+  // 0-100 estimate of how well a repository fits a category, from how many
+  // discovery sources found it and which search terms and topics it matches
+  static calculateCategoryRelevance(repo, category) {
+    const sources = repo.discoveredBy || [];
+    if (sources.some(source => source.type === 'allowlist')) return 100;
+
+    const topics = repo.topics || [];
+    const text = [repo.name, repo.description, ...topics].join(' ').toLowerCase();
+    const matchedTerms = category.searchTerms
+      .filter(term => term.toLowerCase().split(/\s+/).every(word => text.includes(word)));
+    const matchedTopics = (category.topics || []).filter(topic => topics.includes(topic));
+
+    const relevance = 25 + 15 * Math.min(sources.length, 3) + 15 * matchedTerms.length + 10 * matchedTopics.length;
+    return Math.min(relevance, 100);
+  }
+
+  // Set a repository's categories from a categoryId -> relevance map; the
+  // most relevant category becomes the primary `category`. Returns null
+  // when the repository no longer belongs to any category.
+  static applyCategoryMembership(repo, categoryRelevance) {
+    const memberOf = Object.keys(categoryRelevance)
+      .sort((a, b) => categoryRelevance[b] - categoryRelevance[a]);
+    if (memberOf.length === 0) return null;
+
+    return {
+      ...repo,
+      category: memberOf[0],
+      categories: memberOf,
+      categoryRelevance: { ...categoryRelevance }
+    };
+  }
+
+  static getMembership(repo) {
+    const categoryRelevance = {};
+    this.getRepositoryCategories(repo).forEach(categoryId => {
+      categoryRelevance[categoryId] = this.getCategoryRelevance(repo, categoryId);
+    });
+    return categoryRelevance;
+  }
+
   static generateStats(repositories) {
     const totalRepos = repositories.length;
     const totalStars = repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0);
@@ -151,10 +225,23 @@ class Helpers {
       averageScore,
       gradeDistribution,
       languageDistribution,
-      lastUpdated: moment().toISOString()
+      lastUpdated: clock.now().toISOString()
     };
   }
 
+  // Canonical one-line description of an Octokit request, used to key
+  // recorded fixtures and cached responses
+  static describeRequest(options) {
+    const ignored = ['method', 'url', 'baseUrl', 'headers', 'mediaType', 'request'];
+    const params = Object.keys(options)
+      .filter(key => !ignored.includes(key) && options[key] !== undefined)
+      .sort()
+      .map(key => `${key}=${JSON.stringify(options[key])}`)
+      .join('&');
+
+    return `${options.method} ${options.url} ${params}`;
+  }
+
   static isValidUrl(string) {
     try {
       new URL(string);
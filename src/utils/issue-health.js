@@ -0,0 +1,166 @@
+const moment = require('moment');
+const { clock } = require('./clock');
+
+// Open issues untouched for this long count as stale
+const STALE_DAYS = 90;
+
+const median = values => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, decimals = 1) => value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Issue and pull request health from a sample of recent issues and PRs:
+ * median time to first response, median time to close, open/closed ratio
+ * and the number of stale open issues.
+ *
+ * Both enrichment backends hand over the same shape, an `issueActivity`
+ * object of { items, openUpdatedAt, openCapped } where each item is
+ * { isPullRequest, createdAt, closedAt, firstResponseAt }, with
+ * firstResponseAt undefined when it could not be determined.
+ * A first response is the first comment by someone other than the author,
+ * or the item being closed, whichever came first.
+ *
+ * openUpdatedAt holds when the least recently updated open issues were last
+ * touched (openCapped when that sample was a full page), so staleness is
+ * judged when scoring, against the scoring clock.
+ */
+class IssueHealth {
+  static get staleDays() {
+    return STALE_DAYS;
+  }
+
+  /**
+   * Build issue activity from REST listings: recent issues and PRs (newest
+   * first), repository comments since the oldest of them (oldest first, one
+   * page) and the open issues sorted by least recently updated.
+   */
+  static fromRest(issues = [], comments = [], openByUpdated = [], pageSize = 100) {
+    // With a full page of comments, later first responses may be missing
+    const commentsComplete = comments.length < pageSize;
+
+    const firstComments = new Map();
+    comments.forEach(comment => {
+      const url = comment.issue_url;
+      if (!firstComments.has(url)) firstComments.set(url, []);
+      firstComments.get(url).push(comment);
+    });
+
+    const items = issues.map(issue => {
+      const author = issue.user && issue.user.login;
+      const response = (firstComments.get(issue.url) || [])
+        .find(comment => !comment.user || comment.user.login !== author);
+
+      let firstResponseAt = response ? response.created_at : null;
+      if (!response && issue.comments > 0 && !commentsComplete) {
+        firstResponseAt = undefined; // Commented, but not within the fetched comments
+      }
+
+      return {
+        isPullRequest: !!issue.pull_request,
+        createdAt: issue.created_at,
+        closedAt: issue.closed_at,
+        firstResponseAt
+      };
+    });
+
+    return {
+      items,
+      openUpdatedAt: openByUpdated.filter(issue => !issue.pull_request).map(issue => issue.updated_at),
+      openCapped: openByUpdated.length >= pageSize
+    };
+  }
+
+  // Build issue activity from the GraphQL issues, pullRequests and
+  // staleIssues connections fetched by the GraphQL enricher
+  static fromGraphQL(issues = [], pullRequests = [], openByUpdated = [], pageSize = 100) {
+    const toItem = isPullRequest => node => {
+      const author = node.author && node.author.login;
+      const comment = node.comments && node.comments.nodes[0];
+      let firstResponseAt = null;
+      if (comment) {
+        // Only the first comment is fetched; if the author wrote it the response is unknown
+        firstResponseAt = comment.author && comment.author.login === author ? undefined : comment.createdAt;
+      }
+      return { isPullRequest, createdAt: node.createdAt, closedAt: node.closedAt, firstResponseAt };
+    };
+
+    return {
+      items: [...issues.map(toItem(false)), ...pullRequests.map(toItem(true))],
+      openUpdatedAt: openByUpdated.map(node => node.updatedAt),
+      openCapped: openByUpdated.length >= pageSize
+    };
+  }
+
+  // Open issues untouched for STALE_DAYS as of `now`. Capped when every issue in
+  // a full page was stale, so there may be more. Inputs saved before
+  // openUpdatedAt was kept carry the count from their scan.
+  static staleness(issueActivity, now) {
+    if (!Array.isArray(issueActivity.openUpdatedAt)) {
+      return { staleIssues: issueActivity.staleIssues || 0, staleCapped: !!issueActivity.staleCapped };
+    }
+
+    const staleBefore = now.clone().subtract(STALE_DAYS, 'days');
+    const staleIssues = issueActivity.openUpdatedAt.filter(date => moment(date).isBefore(staleBefore)).length;
+    return {
+      staleIssues,
+      staleCapped: !!issueActivity.openCapped && staleIssues === issueActivity.openUpdatedAt.length
+    };
+  }
+
+  static summarize(items, now) {
+    const responseHours = [];
+    items.forEach(item => {
+      // Unknown first comment: only a close time can bound the response
+      if (item.firstResponseAt === undefined && !item.closedAt) return;
+
+      const responses = [item.firstResponseAt, item.closedAt].filter(Boolean).map(date => moment(date));
+      if (responses.length > 0) {
+        responseHours.push(moment.min(responses).diff(moment(item.createdAt), 'hours', true));
+      }
+    });
+
+    const closed = items.filter(item => item.closedAt);
+    const unanswered = items.filter(item => !item.closedAt && !item.firstResponseAt && item.firstResponseAt !== undefined &&
+      now.diff(moment(item.createdAt), 'days') >= 7);
+
+    return {
+      count: items.length,
+      open: items.length - closed.length,
+      closed: closed.length,
+      unanswered: unanswered.length,
+      medianFirstResponseHours: round(median(responseHours)),
+      medianCloseDays: round(median(closed.map(item => moment(item.closedAt).diff(moment(item.createdAt), 'days', true))))
+    };
+  }
+
+  static analyze(issueActivity, now = clock.now()) {
+    if (!issueActivity) return null;
+
+    const items = issueActivity.items || [];
+    const issues = IssueHealth.summarize(items.filter(item => !item.isPullRequest), now);
+    const pullRequests = IssueHealth.summarize(items.filter(item => item.isPullRequest), now);
+    const all = IssueHealth.summarize(items, now);
+    const { staleIssues, staleCapped } = IssueHealth.staleness(issueActivity, now);
+
+    return {
+      sampled: items.length,
+      issues,
+      pullRequests,
+      medianFirstResponseHours: all.medianFirstResponseHours,
+      medianCloseDays: all.medianCloseDays,
+      openClosedRatio: all.closed > 0 ? round(all.open / all.closed, 2) : null,
+      open: all.open,
+      closed: all.closed,
+      unanswered: all.unanswered,
+      staleIssues,
+      staleCapped
+    };
+  }
+}
+
+module.exports = IssueHealth;
@@ -0,0 +1,122 @@
+const Helpers = require('./helpers');
+const { scorer } = require('./scoring');
+
+/**
+ * Optional normalisation pass that ranks every repository against the others
+ * in each of its categories, and against the whole dataset. Each quality
+ * dimension and the total become a 0-100 percentile, stored next to the
+ * absolute score in `qualityScore.percentiles` with a grade read off the
+ * scoring model's boundaries, so a grade there means "good for its niche".
+ *
+ * SCORE_NORMALIZATION=percentile turns it on. Groups smaller than
+ * PERCENTILE_MIN_GROUP repositories (default 5) are too small to rank and
+ * get no percentiles.
+ */
+class PercentileNormalizer {
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    this.minGroupSize = options.minGroupSize || 5;
+  }
+
+  static fromEnv() {
+    const mode = process.env.SCORE_NORMALIZATION || 'off';
+    if (!['off', 'percentile'].includes(mode)) {
+      throw new Error(`Invalid SCORE_NORMALIZATION "${mode}" (expected off or percentile)`);
+    }
+
+    return new PercentileNormalizer({
+      enabled: mode === 'percentile',
+      minGroupSize: parseInt(process.env.PERCENTILE_MIN_GROUP) || 5
+    });
+  }
+
+  // Percentile rank of a value: share of the group below it, counting ties as half
+  static percentileRank(sortedValues, value) {
+    const below = sortedValues.filter(other => other < value).length;
+    const equal = sortedValues.filter(other => other === value).length;
+    return Math.round((100 * (below + equal / 2)) / sortedValues.length);
+  }
+
+  rankGroup(repositories) {
+    if (repositories.length < this.minGroupSize) return null;
+
+    const keys = [...new Set(repositories.flatMap(repo => Object.keys(repo.qualityScore.breakdown || {})))];
+    const sorted = values => values.sort((a, b) => a - b);
+    const totals = sorted(repositories.map(repo => repo.qualityScore.total));
+    const dimensionValues = {};
+    keys.forEach(key => {
+      dimensionValues[key] = sorted(repositories.map(repo => (repo.qualityScore.breakdown || {})[key] || 0));
+    });
+
+    const ranks = new Map();
+    repositories.forEach(repo => {
+      const total = PercentileNormalizer.percentileRank(totals, repo.qualityScore.total);
+      const dimensions = {};
+      keys.forEach(key => {
+        dimensions[key] = PercentileNormalizer.percentileRank(dimensionValues[key], (repo.qualityScore.breakdown || {})[key] || 0);
+      });
+
+      ranks.set(repo.full_name, {
+        total,
+        grade: scorer.calculateGrade(total),
+        dimensions,
+        groupSize: repositories.length
+      });
+    });
+    return ranks;
+  }
+
+  /**
+   * Store percentiles on every scored repository (in place). When disabled,
+   * percentiles left over from earlier runs are removed instead.
+   */
+  normalize(repositories) {
+    const scored = repositories.filter(repo => repo.qualityScore);
+
+    if (!this.enabled) {
+      scored.forEach(repo => delete repo.qualityScore.percentiles);
+      return repositories;
+    }
+
+    const byCategory = {};
+    scored.forEach(repo => {
+      Helpers.getRepositoryCategories(repo).forEach(categoryId => {
+        (byCategory[categoryId] = byCategory[categoryId] || []).push(repo);
+      });
+    });
+
+    const overall = this.rankGroup(scored);
+    const categoryRanks = {};
+    Object.entries(byCategory).forEach(([categoryId, group]) => {
+      categoryRanks[categoryId] = this.rankGroup(group);
+    });
+
+    scored.forEach(repo => {
+      const categories = {};
+      Helpers.getRepositoryCategories(repo)
+        .filter(categoryId => categoryRanks[categoryId])
+        .forEach(categoryId => {
+          categories[categoryId] = categoryRanks[categoryId].get(repo.full_name);
+        });
+
+      repo.qualityScore = {
+        ...repo.qualityScore,
+        percentiles: {
+          overall: overall ? overall.get(repo.full_name) : null,
+          categories
+        }
+      };
+    });
+
+    console.log(`📐 Percentiles computed for ${scored.length} repositories in ${Object.values(categoryRanks).filter(Boolean).length} categories`);
+    return repositories;
+  }
+
+  // A repository's percentiles within one category, if it was ranked there
+  static forCategory(repo, categoryId) {
+    const percentiles = repo.qualityScore && repo.qualityScore.percentiles;
+    return (percentiles && percentiles.categories && percentiles.categories[categoryId]) || null;
+  }
+}
+
+module.exports = PercentileNormalizer;
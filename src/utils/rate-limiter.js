@@ -0,0 +1,185 @@
+const Helpers = require('./helpers');
+const WorkerPool = require('./worker-pool');
+
+/**
+ * Rate-limit governor for GitHub API calls.
+ *
+ * Tracks the core, search and graphql buckets separately from the
+ * x-ratelimit-* headers on every response, spaces calls within a bucket
+ * (RATE_LIMIT_DELAY per in-flight slot, stretched to spread what is left of
+ * a running-low bucket until its reset), waits for the reset when it runs
+ * dry and retries rate-limited or transiently failing requests with
+ * exponential backoff (bounded by maxRetries and maxWait so a run can never
+ * stall forever). Each bucket also caps in-flight requests so concurrent
+ * enrichment stays clear of GitHub's secondary (abuse) limits.
+ */
+class RateLimitGovernor {
+  constructor(options = {}) {
+    this.minDelay = options.minDelay !== undefined ? options.minDelay : 1000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseBackoff = options.baseBackoff || 2000;
+    this.maxWait = options.maxWait || 15 * 60 * 1000;
+    this.reserve = options.reserve || 0;
+    this.maxConcurrent = options.maxConcurrent || 4;
+
+    this.buckets = {};
+    this.pausedUntil = 0;
+  }
+
+  static fromEnv() {
+    // 0 is a valid retry count, so only a missing or malformed value falls back
+    const maxRetries = parseInt(process.env.RATE_LIMIT_MAX_RETRIES);
+    return new RateLimitGovernor({
+      minDelay: parseInt(process.env.RATE_LIMIT_DELAY) || 1000,
+      maxRetries: Number.isNaN(maxRetries) ? 5 : maxRetries,
+      maxWait: (parseInt(process.env.RATE_LIMIT_MAX_WAIT_SECONDS) || 900) * 1000,
+      reserve: parseInt(process.env.RATE_LIMIT_RESERVE) || 0,
+      maxConcurrent: parseInt(process.env.RATE_LIMIT_MAX_CONCURRENT) || 4
+    });
+  }
+
+  bucketFor(options) {
+    if (options.url.startsWith('/search/')) return 'search';
+    if (options.url.startsWith('/graphql')) return 'graphql';
+    return 'core';
+  }
+
+  getBucket(name) {
+    if (!this.buckets[name]) {
+      this.buckets[name] = {
+        remaining: null,
+        limit: null,
+        reset: 0,
+        nextSlot: 0,
+        // The search bucket only allows 30 requests/minute; keep it sequential
+        pool: new WorkerPool(name === 'search' ? 1 : this.maxConcurrent)
+      };
+    }
+    return this.buckets[name];
+  }
+
+  // Seed bucket state from a GET /rate_limit response
+  seed(resources = {}) {
+    ['core', 'search', 'graphql'].forEach(name => {
+      if (!resources[name]) return;
+      const bucket = this.getBucket(name);
+      bucket.remaining = resources[name].remaining;
+      bucket.limit = resources[name].limit;
+      bucket.reset = resources[name].reset * 1000;
+    });
+  }
+
+  update(name, headers = {}) {
+    if (headers['x-ratelimit-remaining'] === undefined) return;
+
+    const bucket = this.getBucket(headers['x-ratelimit-resource'] || name);
+    bucket.remaining = parseInt(headers['x-ratelimit-remaining']);
+    bucket.limit = parseInt(headers['x-ratelimit-limit']);
+    bucket.reset = parseInt(headers['x-ratelimit-reset']) * 1000;
+  }
+
+  // Gap between request starts in a bucket. minDelay is per in-flight slot, so
+  // a bucket with room for 4 requests starts one every minDelay / 4. Once a
+  // bucket is down to a quarter of its limit, the rest is spread until reset.
+  spacing(bucket, now) {
+    const base = this.minDelay / bucket.pool.concurrency;
+    if (bucket.remaining === null || !bucket.limit || bucket.reset <= now ||
+        bucket.remaining > bucket.limit / 4) {
+      return base;
+    }
+    return Math.max(base, (bucket.reset - now) / Math.max(bucket.remaining - this.reserve, 1));
+  }
+
+  // Reserve the next slot in a bucket and wait until it arrives. Slots are
+  // handed out synchronously so concurrent callers queue up instead of racing.
+  async schedule(name) {
+    const bucket = this.getBucket(name);
+    const now = Date.now();
+    let start = Math.max(now, bucket.nextSlot, this.pausedUntil);
+
+    if (bucket.remaining !== null && bucket.remaining <= this.reserve && bucket.reset > start) {
+      start = bucket.reset + 1000;
+      console.log(`⏳ ${name} rate limit exhausted, waiting ${Math.ceil((start - now) / 1000)}s for reset...`);
+    }
+
+    if (start - now > this.maxWait) {
+      const error = new Error(`${name} rate limit would require waiting ${Math.ceil((start - now) / 1000)}s (max ${this.maxWait / 1000}s)`);
+      error.code = 'RATE_LIMIT_WAIT_EXCEEDED';
+      throw error;
+    }
+
+    bucket.nextSlot = start + this.spacing(bucket, start);
+    if (bucket.remaining !== null) bucket.remaining--;
+
+    if (start > now) {
+      await Helpers.wait(start - now);
+    }
+  }
+
+  // Returns how long to wait before retrying, or null if the error is not retryable
+  getRetryDelay(error, attempt) {
+    const headers = error.response ? error.response.headers || {} : {};
+    const message = (error.message || '').toLowerCase();
+    const backoff = this.baseBackoff * Math.pow(2, attempt);
+
+    if (error.status === 403 || error.status === 429) {
+      if (headers['retry-after']) {
+        return { delay: parseInt(headers['retry-after']) * 1000, reason: 'Secondary rate limit', global: true };
+      }
+      if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        const delay = Math.max(parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+        return { delay, reason: 'Rate limit hit', global: false };
+      }
+      if (message.includes('secondary rate limit') || message.includes('abuse')) {
+        return { delay: Math.max(backoff, 60000), reason: 'Secondary rate limit', global: true };
+      }
+      if (message.includes('rate limit')) {
+        return { delay: backoff, reason: 'Rate limit hit', global: false };
+      }
+      return null;
+    }
+
+    if ([500, 502, 503, 504].includes(error.status)) {
+      return { delay: backoff, reason: `GitHub returned ${error.status}`, global: false };
+    }
+
+    return null;
+  }
+
+  install(octokit) {
+    octokit.hook.wrap('request', async (request, options) => {
+      const name = this.bucketFor(options);
+
+      for (let attempt = 0; ; attempt++) {
+        await this.schedule(name);
+
+        try {
+          const response = await this.getBucket(name).pool.run(() => request(options));
+          this.update(name, response.headers);
+          return response;
+        } catch (error) {
+          if (error.response) this.update(name, error.response.headers);
+
+          const retry = this.getRetryDelay(error, attempt);
+          if (!retry || attempt >= this.maxRetries) throw error;
+
+          if (retry.delay > this.maxWait) {
+            console.log(`❌ ${retry.reason}: retry would need ${Math.ceil(retry.delay / 1000)}s, giving up`);
+            throw error;
+          }
+
+          console.log(`⏳ ${retry.reason}, retrying in ${Math.ceil(retry.delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})...`);
+          const resumeAt = Date.now() + retry.delay;
+          if (retry.global) {
+            this.pausedUntil = Math.max(this.pausedUntil, resumeAt);
+          } else {
+            const bucket = this.getBucket(name);
+            bucket.nextSlot = Math.max(bucket.nextSlot, resumeAt);
+          }
+        }
+      }
+    });
+  }
+}
+
+module.exports = RateLimitGovernor;
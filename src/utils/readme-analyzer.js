@@ -0,0 +1,164 @@
+/**
+ * README analyzer for documentation scoring. Parses the structure of a
+ * Markdown, reStructuredText or plain text README and looks for the things
+ * that make a project usable: install instructions, usage examples, API
+ * docs, a docs site, a changelog, badges and a table of contents.
+ *
+ * Every signal carries the points it earned and a short explanation, so the
+ * documentation score can be traced back to what the README contains.
+ */
+
+// README names GitHub recognises, most common first (used where the API
+// can't look the README up for us, e.g. GraphQL object lookups)
+const README_FILES = ['README.md', 'readme.md', 'Readme.md', 'README.rst', 'README.markdown', 'README.txt', 'README'];
+
+const MAX_SCORE = 15;
+
+const INSTALL_HEADING = /\b(install(ation|ing)?|getting started|setup|set up|quick ?start|requirements)\b/i;
+const INSTALL_COMMAND = /\b(npm (i|install)|yarn add|pnpm add|pip3? install|poetry add|conda install|gem install|bundle add|go (get|install)|cargo add|dotnet add|nuget install|brew install|apt(-get)? install|docker (pull|run)|composer require)\b|<artifactId>|(testImplementation|implementation)\s*[('"]/i;
+const USAGE_HEADING = /\b(usage|examples?|how to use|quick ?start|tutorial|getting started)\b/i;
+const TOC_HEADING = /\b(table of contents|contents|toc)\b/i;
+const CHANGELOG = /\b(change ?log|changes|release notes|history)\b/i;
+const API_DOCS = /\b(api( reference| docs| documentation)?|reference|javadoc|godoc|jsdoc|typedoc)\b|pkg\.go\.dev|javadoc\.io|rubydoc\.info|docs\.rs/i;
+const DOCS_SITE = /readthedocs\.(io|org)|\.github\.io|gitbook\.io|docs\.[\w-]+\.\w+|\/docs?(\/|$)|documentation/i;
+
+class ReadmeAnalyzer {
+  static get readmeFiles() {
+    return README_FILES;
+  }
+
+  static get maxScore() {
+    return MAX_SCORE;
+  }
+
+  static detectFormat(text, path = '') {
+    if (/\.rst$/i.test(path)) return 'rst';
+    if (/\.(md|markdown)$/i.test(path)) return 'markdown';
+    const rstMarkup = /^\.\. (image|code-block|contents)::/m.test(text);
+    const underlinedTitles = /^[^\n]+\n[=\-~^"]{3,}\s*$/m.test(text) && !/^#{1,6}\s/m.test(text);
+    if (rstMarkup || underlinedTitles) return 'rst';
+    return /^#{1,6}\s|```|\]\(/m.test(text) ? 'markdown' : 'text';
+  }
+
+  // Headings, code blocks, links and images of a README
+  static parse(text, format) {
+    const lines = text.split(/\r?\n/);
+    const headings = [];
+    const links = [];
+    let codeBlocks = 0;
+    let images = 0;
+
+    if (format === 'rst') {
+      lines.forEach((line, index) => {
+        const next = lines[index + 1] || '';
+        if (line.trim() && /^([=\-~^"'`#*+])\1{2,}\s*$/.test(next) && next.trim().length >= line.trim().length) {
+          headings.push(line.trim());
+        }
+      });
+      codeBlocks = (text.match(/^\.\. (code-block|code|sourcecode)::/gm) || []).length +
+        (text.match(/::\s*\n\s*\n[ \t]+\S/g) || []).length;
+      images = (text.match(/^\.\. (image|figure)::/gm) || []).length + (text.match(/\|[\w -]+\|/g) || []).length;
+      [...text.matchAll(/`([^`<]*)<([^>]+)>`_/g)].forEach(match => links.push({ text: match[1].trim(), url: match[2] }));
+    } else {
+      let inFence = false;
+      lines.forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+          if (!inFence) codeBlocks++;
+          inFence = !inFence;
+          return;
+        }
+        if (inFence) return;
+
+        const atx = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        const next = lines[index + 1] || '';
+        if (atx) {
+          headings.push(atx[1]);
+        } else if (line.trim() && /^(=+|-+)\s*$/.test(next) && !/^\s*[-*]/.test(line)) {
+          headings.push(line.trim());
+        } else if (format === 'markdown' && /^<h[1-6][^>]*>(.*?)<\/h[1-6]>/i.test(line.trim())) {
+          headings.push(line.trim().replace(/<[^>]+>/g, ''));
+        }
+      });
+      images = (text.match(/!\[[^\]]*\]\(|<img\s/gi) || []).length;
+      [...text.matchAll(/(?<!!)\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g)].forEach(match => links.push({ text: match[1], url: match[2] }));
+    }
+
+    // Bare URLs count as links in any format
+    [...text.matchAll(/(?<![(<])\bhttps?:\/\/[^\s)>\]"'`]+/g)].forEach(match => links.push({ text: '', url: match[0] }));
+
+    return { headings, links, codeBlocks, images };
+  }
+
+  /**
+   * Analyse README text. `context.path` is the README file name and
+   * `context.homepage` the repository homepage, which counts as a docs site.
+   * Returns { path, format, length, score, maxScore, signals }.
+   */
+  static analyze(text, context = {}) {
+    const content = text || '';
+    const format = ReadmeAnalyzer.detectFormat(content, context.path);
+    const { headings, links, codeBlocks, images } = ReadmeAnalyzer.parse(content, format);
+    const headingMatching = pattern => headings.find(heading => pattern.test(heading));
+    const linkMatching = pattern => links.find(link => pattern.test(link.text) || pattern.test(link.url));
+    const homepage = context.homepage && !/github\.com/.test(context.homepage) ? context.homepage : null;
+
+    const signals = [];
+    const signal = (key, label, max, points, detail) => {
+      signals.push({ key, label, found: points > 0, points, max, detail });
+    };
+
+    const length = content.length;
+    signal('length', 'Substantial content', 2, length >= 1500 ? 2 : length >= 500 ? 1 : 0,
+      `${length} characters`);
+
+    signal('structure', 'Organised into sections', 2, headings.length >= 4 ? 2 : headings.length >= 2 ? 1 : 0,
+      headings.length > 0 ? `${headings.length} headings` : 'No headings');
+
+    const installHeading = headingMatching(INSTALL_HEADING);
+    const installCommand = content.match(INSTALL_COMMAND);
+    signal('install', 'Install instructions', 3, installHeading && installCommand ? 3 : installHeading || installCommand ? 2 : 0,
+      [installHeading && `"${installHeading}" section`, installCommand && `\`${installCommand[0].trim()}\``].filter(Boolean).join(', ') || 'None found');
+
+    const usageHeading = headingMatching(USAGE_HEADING);
+    signal('usage', 'Usage examples', 3, usageHeading && codeBlocks > 0 ? 3 : codeBlocks > 0 ? 2 : usageHeading ? 1 : 0,
+      [usageHeading && `"${usageHeading}" section`, codeBlocks > 0 && `${codeBlocks} code block${codeBlocks === 1 ? '' : 's'}`].filter(Boolean).join(', ') || 'No code examples');
+
+    const apiLink = linkMatching(API_DOCS) || (headingMatching(API_DOCS) && { text: headingMatching(API_DOCS) });
+    signal('apiDocs', 'API documentation', 1, apiLink ? 1 : 0,
+      apiLink ? `Links to ${apiLink.url || `"${apiLink.text}" section`}` : 'No API reference');
+
+    const docsLink = homepage ? { url: homepage } : linkMatching(DOCS_SITE);
+    signal('docsSite', 'Documentation site', 1, docsLink ? 1 : 0,
+      docsLink ? docsLink.url : 'No docs site linked');
+
+    const changelog = headingMatching(CHANGELOG) || (linkMatching(/change ?log|release notes|\/releases\b/i) || {}).url;
+    signal('changelog', 'Changelog or release notes', 1, changelog ? 1 : 0,
+      changelog ? `${changelog}` : 'No changelog referenced');
+
+    signal('badges', 'Status badges', 1, images > 0 && /(shields\.io|badge|\.svg)/i.test(content) ? 1 : 0,
+      images > 0 ? `${images} image${images === 1 ? '' : 's'}` : 'No badges');
+
+    const tocHeading = headingMatching(TOC_HEADING) || (/^\.\. contents::/m.test(content) && 'contents directive');
+    const anchorLinks = links.filter(link => link.url.startsWith('#')).length;
+    signal('toc', 'Table of contents', 1, tocHeading || anchorLinks >= 3 ? 1 : 0,
+      tocHeading ? `${tocHeading}` : anchorLinks > 0 ? `${anchorLinks} section links` : 'None');
+
+    return {
+      path: context.path || null,
+      format,
+      length,
+      score: Math.min(signals.reduce((sum, item) => sum + item.points, 0), MAX_SCORE),
+      maxScore: MAX_SCORE,
+      signals
+    };
+  }
+
+  // Analyse a README as returned by the contents/readme API (base64 content)
+  static analyzeFile(readme, context = {}) {
+    if (!readme || !readme.content) return ReadmeAnalyzer.analyze('', context);
+    const text = Buffer.from(readme.content, readme.encoding || 'base64').toString();
+    return ReadmeAnalyzer.analyze(text, { ...context, path: readme.path || readme.name });
+  }
+}
+
+module.exports = ReadmeAnalyzer;
@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const Helpers = require('./helpers');
+
+/**
+ * Persistent on-disk cache of GitHub GET responses using conditional requests.
+ * Cached ETag/Last-Modified values are sent back as If-None-Match /
+ * If-Modified-Since; a 304 answer is served from disk and does not count
+ * against the rate limit.
+ */
+class ResponseCache {
+  constructor(dir) {
+    this.dir = dir;
+    this.stats = { hits: 0, misses: 0, stored: 0 };
+  }
+
+  static fromEnv() {
+    if (process.env.GITHUB_CACHE === 'false') return null;
+
+    const dir = process.env.GITHUB_CACHE_DIR || path.join(__dirname, '..', '..', '.cache', 'github');
+    return new ResponseCache(dir);
+  }
+
+  entryPath(description) {
+    const hash = crypto.createHash('sha1').update(description).digest('hex');
+    return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+  }
+
+  install(octokit) {
+    octokit.hook.wrap('request', async (request, options) => {
+      if (options.method !== 'GET') {
+        return request(options);
+      }
+
+      const description = Helpers.describeRequest(options);
+      const file = this.entryPath(description);
+      const cached = await fs.readJson(file).catch(() => null);
+
+      if (cached) {
+        const conditionalHeaders = {};
+        if (cached.etag) conditionalHeaders['if-none-match'] = cached.etag;
+        if (cached.lastModified) conditionalHeaders['if-modified-since'] = cached.lastModified;
+        options.headers = { ...options.headers, ...conditionalHeaders };
+      }
+
+      try {
+        const response = await request(options);
+        this.stats.misses++;
+        await this.store(file, description, response);
+        return response;
+      } catch (error) {
+        if (error.status === 304 && cached) {
+          this.stats.hits++;
+          return {
+            status: 200,
+            url: cached.url,
+            headers: { ...cached.headers, ...(error.response ? error.response.headers : {}) },
+            data: cached.data
+          };
+        }
+        throw error;
+      }
+    });
+  }
+
+  async store(file, description, response) {
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (!etag && !lastModified) return;
+
+    await fs.outputJson(file, {
+      request: description,
+      etag,
+      lastModified,
+      url: response.url,
+      headers: response.headers,
+      data: response.data,
+      cachedAt: new Date().toISOString()
+    });
+    this.stats.stored++;
+  }
+
+  getStats() {
+    const total = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: Helpers.calculatePercentage(this.stats.hits, total)
+    };
+  }
+}
+
+module.exports = ResponseCache;
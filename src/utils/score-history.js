@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const moment = require('moment');
+
+// Trends look at the most recent scan cycles only
+const TREND_POINTS = 12;
+
+/**
+ * Append-only history of scan results, so a repository's evolution survives
+ * the scanners overwriting `repositories.json`. Stored in data/history.json,
+ * keyed by full_name:
+ *
+ *   { "owner/repo": [{ cycle, recordedAt, total, breakdown, stars, forks, releases }, ...] }
+ *
+ * A repository gets one entry per scan cycle; entries are never rewritten or
+ * pruned, even after the repository itself leaves the dataset.
+ */
+class ScoreHistory {
+  constructor(file, history = {}) {
+    this.file = file;
+    this.history = history;
+  }
+
+  static async load(file) {
+    const history = await fs.readJSON(file).catch(() => ({}));
+    return new ScoreHistory(file, history);
+  }
+
+  async save() {
+    // Write-then-rename, as with the repository data
+    const tmpFile = `${this.file}.tmp`;
+    await fs.writeJSON(tmpFile, this.history, { spaces: 2 });
+    await fs.move(tmpFile, this.file, { overwrite: true });
+  }
+
+  entries(fullName) {
+    return this.history[fullName] || [];
+  }
+
+  static entryFor(repo, cycle) {
+    const qualityScore = repo.qualityScore || {};
+    return {
+      cycle,
+      recordedAt: repo.scannedAt || new Date().toISOString(),
+      total: qualityScore.total || 0,
+      breakdown: qualityScore.breakdown || {},
+      stars: repo.stargazers_count || 0,
+      forks: repo.forks_count || 0,
+      releases: repo.additionalData ? repo.additionalData.totalReleases || 0 : 0
+    };
+  }
+
+  /**
+   * Append an entry for each scored repository. A repository already recorded
+   * in this cycle (e.g. found again by another category) keeps its first
+   * entry. Returns the number of entries added.
+   */
+  record(repositories, cycle) {
+    let recorded = 0;
+    repositories.filter(repo => repo && repo.qualityScore).forEach(repo => {
+      const entries = this.history[repo.full_name] = this.entries(repo.full_name);
+      if (entries.length > 0 && entries[entries.length - 1].cycle === cycle) return;
+      entries.push(ScoreHistory.entryFor(repo, cycle));
+      recorded++;
+    });
+    return recorded;
+  }
+
+  /**
+   * Trend over the most recent entries: score change, star change and star
+   * velocity (stars per week). Null until a repository has two entries.
+   */
+  static trend(entries) {
+    if (!entries || entries.length < 2) return null;
+
+    const recent = entries.slice(-TREND_POINTS);
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const days = moment(last.recordedAt).diff(moment(first.recordedAt), 'days', true);
+
+    return {
+      points: recent.length,
+      since: first.recordedAt,
+      scoreDelta: last.total - first.total,
+      starDelta: last.stars - first.stars,
+      starVelocity: days >= 1 ? Math.round(((last.stars - first.stars) / days) * 7 * 10) / 10 : null,
+      scores: recent.map(entry => entry.total),
+      stars: recent.map(entry => entry.stars)
+    };
+  }
+
+  trend(fullName) {
+    return ScoreHistory.trend(this.entries(fullName));
+  }
+
+  /**
+   * Repositories whose score rose or fell the most over their recent history,
+   * ties broken by star velocity. Returns { rising, declining } lists of
+   * { repo, trend }.
+   */
+  movers(repositories, limit = 5) {
+    const trended = repositories
+      .map(repo => ({ repo, trend: this.trend(repo.full_name) }))
+      .filter(item => item.trend);
+    const velocity = item => item.trend.starVelocity || 0;
+
+    return {
+      rising: trended
+        .filter(item => item.trend.scoreDelta > 0)
+        .sort((a, b) => b.trend.scoreDelta - a.trend.scoreDelta || velocity(b) - velocity(a))
+        .slice(0, limit),
+      declining: trended
+        .filter(item => item.trend.scoreDelta < 0)
+        .sort((a, b) => a.trend.scoreDelta - b.trend.scoreDelta || velocity(a) - velocity(b))
+        .slice(0, limit)
+    };
+  }
+}
+
+module.exports = ScoreHistory;
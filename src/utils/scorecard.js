@@ -0,0 +1,204 @@
+/**
+ * A local subset of the OpenSSF Scorecard checks, computed from the workflow
+ * files, license file and repository paths the scanners already fetch:
+ *
+ *   Pinned-Dependencies  workflow actions pinned to a full commit SHA
+ *   Token-Permissions    workflows declaring read-only top-level permissions
+ *   Dangerous-Workflow   pull_request_target checkouts of PR code, script injection
+ *   Fuzzing              fuzz targets or a fuzzing workflow
+ *   License              a license file with a recognised license
+ *
+ * Like Scorecard, each check scores 0-10, or null when it cannot be judged
+ * (e.g. no workflows). Workflow YAML is read line by line rather than parsed.
+ */
+
+// License file names probed directly (GraphQL lookups are case-sensitive)
+const LICENSE_FILES = ['LICENSE', 'LICENSE.md', 'LICENSE.txt', 'LICENCE', 'LICENCE.md', 'COPYING', 'COPYING.md'];
+const LICENSE_FILE = /^(licen[cs]e|copying)(\.(md|txt|rst))?$/i;
+
+// Only the start of a license file is kept; the license is named there
+const LICENSE_TEXT_LENGTH = 4000;
+
+// Top-level paths; only the root, .github/ and docs/ are listed
+const FUZZING_PATHS = ['fuzz', 'fuzzing', 'fuzzers', '.clusterfuzzlite', 'oss-fuzz', '.github/cifuzz.yml'];
+const FUZZING_WORKFLOW = /google\/(oss-fuzz\/infra\/cifuzz|clusterfuzzlite)|cargo[ +\w-]* fuzz|go test [^\n]*-fuzz|jazzer|atheris|cifuzz/i;
+
+const LICENSES = [
+  { spdx: 'Apache-2.0', pattern: /Apache License,?\s+Version 2\.0/i },
+  { spdx: 'AGPL-3.0', pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+  { spdx: 'LGPL-3.0', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { spdx: 'LGPL-2.1', pattern: /GNU LESSER GENERAL PUBLIC LICENSE\s+Version 2\.1/i },
+  { spdx: 'GPL-3.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 3/i },
+  { spdx: 'GPL-2.0', pattern: /GNU GENERAL PUBLIC LICENSE\s+Version 2/i },
+  { spdx: 'MPL-2.0', pattern: /Mozilla Public License,?\s+(Version|v\.?)\s*2\.0/i },
+  { spdx: 'EPL-2.0', pattern: /Eclipse Public License - v 2\.0/i },
+  { spdx: 'BSD-3-Clause', pattern: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+  { spdx: 'BSD-2-Clause', pattern: /Redistribution and use in source and binary forms/i },
+  { spdx: 'MIT', pattern: /Permission is hereby granted, free of charge/i },
+  { spdx: 'ISC', pattern: /Permission to use, copy, modify, and\/or distribute this software for any purpose/i },
+  { spdx: 'Unlicense', pattern: /This is free and unencumbered software released into the public domain/i }
+];
+
+const SHA_PIN = /@[0-9a-f]{40}$/i;
+const DOCKER_DIGEST = /@sha256:[0-9a-f]{64}$/i;
+
+// Untrusted event fields that must not be expanded inside `run:` scripts
+const UNTRUSTED_INPUT = /\$\{\{\s*github\.(head_ref|event\.(issue\.(title|body)|pull_request\.(title|body|head\.(ref|label))|comment\.body|review\.body|review_comment\.body|pages\.[^}]*\.page_name|commits\.[^}]*\.(message|author\.(email|name))|head_commit\.(message|author\.(email|name))|discussion\.(title|body)))\s*\}\}/;
+const PR_HEAD_CHECKOUT = /ref:\s*\$\{\{\s*github\.(event\.pull_request\.head\.(sha|ref)|head_ref)\s*\}\}/;
+
+const check = (key, name, score, reason, details = []) => ({ key, name, score, reason, details });
+
+class ScorecardChecks {
+  static get licenseFiles() {
+    return LICENSE_FILES;
+  }
+
+  static get licenseTextLength() {
+    return LICENSE_TEXT_LENGTH;
+  }
+
+  static get fuzzingPaths() {
+    return FUZZING_PATHS;
+  }
+
+  // The license file among a directory listing's names, if any
+  static findLicenseFile(names) {
+    return names.find(name => LICENSE_FILE.test(name)) || null;
+  }
+
+  static detectLicense(text) {
+    const match = LICENSES.find(license => license.pattern.test(text || ''));
+    return match ? match.spdx : null;
+  }
+
+  // Third-party `uses:` references, and the ones not pinned to a commit SHA or image digest
+  static pinnedDependencies(workflows) {
+    const uses = [];
+    workflows.forEach(workflow => {
+      workflow.content.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*-?\s*uses:\s*['"]?([^'"\s#]+)/);
+        if (match && !match[1].startsWith('./')) uses.push({ workflow: workflow.name, ref: match[1] });
+      });
+    });
+    if (uses.length === 0) {
+      return check('pinnedDependencies', 'Pinned-Dependencies', null, 'No workflow actions to pin');
+    }
+
+    const unpinned = uses.filter(use => !(use.ref.startsWith('docker://') ? DOCKER_DIGEST : SHA_PIN).test(use.ref));
+    return check('pinnedDependencies', 'Pinned-Dependencies',
+      Math.round(((uses.length - unpinned.length) / uses.length) * 10),
+      `${uses.length - unpinned.length} of ${uses.length} workflow actions pinned to a commit SHA`,
+      unpinned.map(use => `${use.workflow}: ${use.ref}`));
+  }
+
+  // Top-level `permissions:` of a workflow: 'read' when read-only, 'write', or null when missing
+  static topLevelPermissions(content) {
+    const lines = content.split(/\r?\n/);
+    const start = lines.findIndex(line => /^permissions:/.test(line));
+    if (start < 0) return null;
+
+    const inline = lines[start].replace(/^permissions:\s*/, '').replace(/#.*$/, '').trim();
+    if (inline) return /write/.test(inline) ? 'write' : 'read';
+
+    const block = [];
+    for (const line of lines.slice(start + 1)) {
+      if (/^\S/.test(line)) break;
+      block.push(line.replace(/#.*$/, ''));
+    }
+    return block.some(line => /:\s*write\b/.test(line)) ? 'write' : 'read';
+  }
+
+  static tokenPermissions(workflows) {
+    if (workflows.length === 0) {
+      return check('tokenPermissions', 'Token-Permissions', null, 'No workflows');
+    }
+
+    const offenders = workflows
+      .map(workflow => ({ workflow, permissions: ScorecardChecks.topLevelPermissions(workflow.content) }))
+      .filter(item => item.permissions !== 'read');
+    return check('tokenPermissions', 'Token-Permissions',
+      Math.round(((workflows.length - offenders.length) / workflows.length) * 10),
+      `${workflows.length - offenders.length} of ${workflows.length} workflows declare read-only top-level permissions`,
+      offenders.map(item => `${item.workflow.name}: ${item.permissions === 'write' ? 'write permissions at top level' : 'no top-level permissions'}`));
+  }
+
+  static dangerousWorkflow(workflows) {
+    if (workflows.length === 0) {
+      return check('dangerousWorkflow', 'Dangerous-Workflow', null, 'No workflows');
+    }
+
+    const findings = [];
+    workflows.forEach(workflow => {
+      const content = workflow.content;
+      if (/pull_request_target|workflow_run/.test(content) && PR_HEAD_CHECKOUT.test(content)) {
+        findings.push(`${workflow.name}: checks out pull request code in a privileged (pull_request_target/workflow_run) workflow`);
+      }
+
+      // Expressions expanded into `run:` scripts, including multi-line ones
+      let inRun = false;
+      let runIndent = 0;
+      content.split(/\r?\n/).forEach(line => {
+        const indent = line.search(/\S/);
+        const run = line.match(/^(\s*)-?\s*run:\s*(.*)$/);
+        if (run) {
+          inRun = true;
+          runIndent = run[1].length;
+        } else if (inRun && indent >= 0 && indent <= runIndent) {
+          inRun = false;
+        }
+        if (inRun && UNTRUSTED_INPUT.test(line)) {
+          findings.push(`${workflow.name}: untrusted input in a run script (${line.match(UNTRUSTED_INPUT)[0]})`);
+        }
+      });
+    });
+
+    return check('dangerousWorkflow', 'Dangerous-Workflow', findings.length === 0 ? 10 : 0,
+      findings.length === 0 ? 'No dangerous workflow patterns' : `${findings.length} dangerous workflow pattern${findings.length === 1 ? '' : 's'}`,
+      findings);
+  }
+
+  static fuzzing(files, workflows) {
+    const paths = FUZZING_PATHS.filter(file => files.includes(file));
+    const workflow = workflows.find(candidate => FUZZING_WORKFLOW.test(candidate.content));
+    const found = [...paths, ...(workflow ? [`${workflow.name} workflow`] : [])];
+    return check('fuzzing', 'Fuzzing', found.length > 0 ? 10 : 0,
+      found.length > 0 ? 'Fuzzing found' : 'No fuzzing found', found);
+  }
+
+  static license(license) {
+    if (!license) {
+      return check('license', 'License', 0, 'No license file');
+    }
+    const spdx = ScorecardChecks.detectLicense(license.content);
+    return spdx
+      ? check('license', 'License', 10, `${spdx} license (${license.path})`)
+      : check('license', 'License', 6, `License file not recognised (${license.path})`);
+  }
+
+  /**
+   * Run every check over the security inputs ({ files, workflows, license }).
+   * Returns { score, checks } with score the average of the checks that could
+   * be judged, or null when the files were never checked.
+   */
+  static analyze(security) {
+    if (!security) return null;
+
+    const files = security.files || [];
+    const workflows = (security.workflows || []).filter(workflow => workflow.content);
+    const checks = [
+      ScorecardChecks.dangerousWorkflow(workflows),
+      ScorecardChecks.tokenPermissions(workflows),
+      ScorecardChecks.pinnedDependencies(workflows),
+      ScorecardChecks.fuzzing(files, workflows),
+      ScorecardChecks.license(security.license)
+    ];
+
+    const scored = checks.filter(item => item.score !== null);
+    return {
+      score: scored.length > 0 ? Math.round((scored.reduce((sum, item) => sum + item.score, 0) / scored.length) * 10) / 10 : null,
+      checks
+    };
+  }
+}
+
+module.exports = ScorecardChecks;
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const ReadmeAnalyzer = require('./readme-analyzer');
+const ContributorMetrics = require('./contributor-metrics');
+const IssueHealth = require('./issue-health');
+const SecurityPosture = require('./security-posture');
+const ScorecardChecks = require('./scorecard');
+const CIDetector = require('./ci-detector');
+const { clock } = require('./clock');
+
+/**
+ * The raw inputs a repository was scored from (README, releases, commits,
+ * contributors, file checks, issue activity and security files), saved gzipped per repository
+ * so scores can be rebuilt offline after the scoring model changes.
+ *
+ * Files live in data/scoring-inputs/<owner>__<repo>.json.gz. Only the fields
+ * the analyzers and the scorer read are kept.
+ */
+class ScoringInputs {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  fileFor(fullName) {
+    return path.join(this.dir, `${fullName.replace(/\//g, '__')}.json.gz`);
+  }
+
+  async save(fullName, inputs) {
+    const file = this.fileFor(fullName);
+    const data = { fullName, savedAt: new Date().toISOString(), inputs: ScoringInputs.compact(inputs) };
+
+    await fs.ensureDir(this.dir);
+    await fs.writeFile(`${file}.tmp`, zlib.gzipSync(JSON.stringify(data)));
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+  }
+
+  // Saved inputs for a repository, or null when it has none
+  async load(fullName) {
+    try {
+      const data = JSON.parse(zlib.gunzipSync(await fs.readFile(this.fileFor(fullName))).toString());
+      return data.inputs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Remove saved inputs of repositories that are no longer in the dataset
+  async prune(fullNames) {
+    if (!(await fs.pathExists(this.dir))) return 0;
+
+    const keep = new Set(fullNames.map(fullName => path.basename(this.fileFor(fullName))));
+    const stale = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json.gz') && !keep.has(file));
+    await Promise.all(stale.map(file => fs.remove(path.join(this.dir, file))));
+    return stale.length;
+  }
+
+  // Strip API responses down to what scoring reads
+  static compact(inputs) {
+    const { readme, releases, commits, contributors } = inputs;
+    return {
+      readme: readme && readme.content ? {
+        path: readme.path || readme.name,
+        encoding: readme.encoding || 'base64',
+        content: readme.content
+      } : null,
+      releases: (releases || []).map(release => ({
+        tag_name: release.tag_name,
+        name: release.name,
+        created_at: release.created_at,
+        published_at: release.published_at,
+        prerelease: !!release.prerelease,
+        assets: (release.assets || []).map(asset => ({ name: asset.name }))
+      })),
+      commits: (commits || []).map(commit => ({
+        sha: commit.sha,
+        commit: {
+          author: commit.commit && commit.commit.author ? {
+            name: commit.commit.author.name,
+            email: commit.commit.author.email,
+            date: commit.commit.author.date
+          } : null
+        },
+        author: commit.author && commit.author.login ? { login: commit.author.login } : null
+      })),
+      contributors: (contributors || []).map(contributor => ({
+        login: contributor.login,
+        contributions: contributor.contributions
+      })),
+      license: !!inputs.license,
+      contributing: !!inputs.contributing,
+      ci: inputs.ci ? { configs: (inputs.ci.configs || []).map(({ path: file, content }) => ({ path: file, content })) } : null,
+      issueActivity: inputs.issueActivity || null,
+      security: inputs.security ? {
+        files: inputs.security.files || [],
+        workflows: (inputs.security.workflows || []).map(({ name, path: file, content }) => ({ name, path: file, content })),
+        license: inputs.security.license || null
+      } : null
+    };
+  }
+
+  /**
+   * Run the analyzers over a repository's inputs. Returns the analyses kept in
+   * `additionalData` and the data `calculateQualityScore` takes. `now` is the
+   * time the analyses judge recency against.
+   */
+  static analyze(repo, inputs, now = clock.now()) {
+    const { readme, releases, commits, contributors, license, contributing, hasCI } = inputs;
+
+    // README structure and content signals, with an explanation per signal
+    const readmeAnalysis = ReadmeAnalyzer.analyzeFile(readme, { homepage: repo.homepage });
+
+    // Commit frequency, committers, bus factor and ownership
+    const contributorMetrics = ContributorMetrics.analyze(repo, commits, contributors, now);
+
+    // Response and close times, open/closed ratio and stale issues
+    const issueHealth = IssueHealth.analyze(inputs.issueActivity, now);
+
+    // Security policy, dependency updates, code scanning, signing and code owners
+    const securityPosture = SecurityPosture.analyze(inputs.security, releases);
+
+    // Scorecard-style checks of workflows, fuzzing and the license
+    const scorecard = ScorecardChecks.analyze(inputs.security);
+
+    // CI systems, workflows and whether the tests run in CI. Inputs saved
+    // before CI detection only have the hasCI flag.
+    const ciStatus = CIDetector.analyze(inputs.ci, inputs.security ? inputs.security.workflows : []);
+
+    return {
+      analyses: { readmeAnalysis, contributorMetrics, issueHealth, securityPosture, scorecard, ciStatus },
+      scoringData: {
+        readme,
+        readmeAnalysis,
+        contributorMetrics,
+        issueHealth,
+        securityPosture,
+        releases,
+        commits,
+        contributors,
+        hasLicense: !!license,
+        hasContributing: !!contributing,
+        hasWiki: repo.has_wiki,
+        hasCI: ciStatus ? ciStatus.configured : !!hasCI,
+        ciStatus
+      }
+    };
+  }
+}
+
+module.exports = ScoringInputs;
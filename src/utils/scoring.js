@@ -1,43 +1,208 @@
+const fs = require('fs');
+const path = require('path');
 const moment = require('moment');
+const Helpers = require('./helpers');
+const ReadmeAnalyzer = require('./readme-analyzer');
+const ContributorMetrics = require('./contributor-metrics');
+const IssueHealth = require('./issue-health');
+const SecurityPosture = require('./security-posture');
+const CIDetector = require('./ci-detector');
+const { clock } = require('./clock');
 
+const DEFAULT_MODEL_FILE = path.join(__dirname, '..', 'config', 'scoring.json');
+
+// Scoring dimensions by name. Each returns how well a repository does on
+// that dimension as a fraction from 0 to 1; the model's weight turns it
+// into points.
+const dimensions = new Map();
+
+const roundPoints = points => Math.round(points * 10) / 10;
+
+// Where GitHub looks for a contributing guide, as for the security policy
+const CONTRIBUTING_FILES = ['CONTRIBUTING.md', '.github/CONTRIBUTING.md', 'docs/CONTRIBUTING.md'];
+
+/**
+ * Quality scorer driven by a scoring model (src/config/scoring.json, or the
+ * file named by SCORING_MODEL_FILE): the dimensions to score with their
+ * weights and options, and the grade boundaries. Totals are normalised to
+ * 100 whatever the weights add up to.
+ *
+ * Custom dimensions are registered by name with registerDimension(), or
+ * listed in the model with a `plugin` path to a module exporting the
+ * dimension function.
+ *
+ * Dimensions explain themselves by pushing evidence items
+ * ({ label, points, max }) for every point awarded or withheld; the scorer
+ * scales them to the dimension's share of the total and returns them with
+ * the score. The breakdown holds each dimension's points out of 100, so the
+ * parts add up to the total.
+ *
+ * Recency is judged against `options.clock` (the shared clock by default),
+ * so scores only depend on the data and the clock.
+ */
 class QualityScorer {
-  constructor() {
+  constructor(model = QualityScorer.loadModel(), options = {}) {
+    this.clock = options.clock || clock;
     this.maxPoints = 100;
+    this.model = QualityScorer.validateModel(model);
+    this.totalWeight = this.model.dimensions.reduce((sum, dimension) => sum + dimension.weight, 0);
+  }
+
+  static get contributingFiles() {
+    return CONTRIBUTING_FILES;
+  }
+
+  // fn(repo, additionalData, options, scorer, evidence) => number between 0 and 1.
+  // `maxPoints` is the scale of the evidence points the dimension reports
+  // (defaults to the sum of the items' max).
+  static registerDimension(name, fn, { maxPoints = null } = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Scoring dimension "${name}" must be a function`);
+    }
+    dimensions.set(name, { fn, maxPoints });
+  }
+
+  static loadModel(file = process.env.SCORING_MODEL_FILE || DEFAULT_MODEL_FILE) {
+    let model;
+    try {
+      model = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load scoring model ${file}: ${error.message}`);
+    }
+
+    // Plugin paths are relative to the model file
+    (model.dimensions || [])
+      .filter(dimension => dimension.plugin)
+      .forEach(dimension => {
+        QualityScorer.registerDimension(dimension.key, require(path.resolve(path.dirname(file), dimension.plugin)));
+      });
+
+    return model;
+  }
+
+  static validateModel(model) {
+    const errors = [];
+    const list = model && model.dimensions;
+    const grades = model && model.grades;
+
+    if (!Array.isArray(list) || list.length === 0) {
+      errors.push('"dimensions" must be a non-empty list');
+    } else {
+      const seen = new Set();
+      list.forEach((dimension, index) => {
+        const label = dimension.key ? `"${dimension.key}"` : `#${index + 1}`;
+        if (!dimension.key) errors.push(`dimension ${label} is missing "key"`);
+        if (seen.has(dimension.key)) errors.push(`dimension ${label} is defined more than once`);
+        if (dimension.key && !dimensions.has(dimension.key)) {
+          errors.push(`dimension ${label} is not registered (known: ${[...dimensions.keys()].join(', ')})`);
+        }
+        if (typeof dimension.weight !== 'number' || dimension.weight < 0) {
+          errors.push(`dimension ${label} needs a non-negative numeric "weight"`);
+        }
+        seen.add(dimension.key);
+      });
+      if (list.every(dimension => !(dimension.weight > 0))) {
+        errors.push('at least one dimension needs a positive weight');
+      }
+    }
+
+    if (!Array.isArray(grades) || grades.length === 0) {
+      errors.push('"grades" must be a non-empty list');
+    } else {
+      grades.forEach((grade, index) => {
+        if (!grade.grade || typeof grade.min !== 'number') {
+          errors.push(`grade #${index + 1} needs "grade" and a numeric "min"`);
+        }
+        if (index > 0 && grade.min >= grades[index - 1].min) {
+          errors.push(`grades must be ordered from highest to lowest "min" (${grade.grade})`);
+        }
+      });
+      if (grades[grades.length - 1].min !== 0) {
+        errors.push('the lowest grade must have "min": 0');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scoring model:\n  - ${errors.join('\n  - ')}`);
+    }
+    return model;
+  }
+
+  // A dimension's maximum points out of maxPoints
+  pointsFor(dimension) {
+    return (dimension.weight / this.totalWeight) * this.maxPoints;
+  }
+
+  // Dimensions with their maximum points, in display order
+  getDimensions() {
+    return this.model.dimensions.map(dimension => ({
+      key: dimension.key,
+      name: dimension.name || dimension.key,
+      description: dimension.description || '',
+      max: roundPoints(this.pointsFor(dimension)),
+      share: Math.round(this.pointsFor(dimension))
+    }));
+  }
+
+  getGrades() {
+    return this.model.grades.map((grade, index) => ({
+      ...grade,
+      max: index === 0 ? this.maxPoints : this.model.grades[index - 1].min - 1
+    }));
   }
 
   calculateScore(repo, additionalData = {}) {
-    const scores = {
-      popularity: this.calculatePopularityScore(repo),
-      activity: this.calculateActivityScore(repo, additionalData.commits, additionalData.releases),
-      documentation: this.calculateDocumentationScore(repo, additionalData.readme, additionalData.hasWiki),
-      community: this.calculateCommunityScore(repo, additionalData.hasLicense, additionalData.hasContributing),
-      maintenance: this.calculateMaintenanceScore(repo, additionalData.releases),
-      codeQuality: this.calculateCodeQualityScore(repo, additionalData.hasCI)
-    };
+    const breakdown = {};
+    const evidence = [];
+    let points = 0;
+    this.model.dimensions.forEach(dimension => {
+      const { fn, maxPoints } = dimensions.get(dimension.key);
+      const items = [];
+      const fraction = fn(repo, additionalData, dimension.options || {}, this, items);
+      const dimensionPoints = Math.min(Math.max(fraction || 0, 0), 1) * this.pointsFor(dimension);
+      points += dimensionPoints;
+      breakdown[dimension.key] = roundPoints(dimensionPoints);
+
+      // Evidence in the dimension's own points, scaled to its share of the total
+      const scale = this.pointsFor(dimension) / (maxPoints || items.reduce((sum, item) => sum + item.max, 0) || 1);
+      items.forEach(item => evidence.push({
+        dimension: dimension.key,
+        label: item.label,
+        points: roundPoints(item.points * scale),
+        max: roundPoints(item.max * scale)
+      }));
+    });
 
-    const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
-    const grade = this.calculateGrade(totalScore);
+    // Grade the total as displayed, so a 90 never shows up with the grade below it
+    const total = Math.round(points);
 
     return {
-      total: Math.round(totalScore),
-      grade,
-      breakdown: scores,
+      total,
+      grade: this.calculateGrade(total),
+      breakdown,
+      evidence,
       maxPoints: this.maxPoints
     };
   }
 
-  calculatePopularityScore(repo) {
+  calculatePopularityScore(repo, options = {}, evidence = []) {
     // 25 points max: Stars (20) + Forks (5)
-    const starScore = Math.min((repo.stargazers_count / 1000) * 10, 20);
-    const forkScore = Math.min((repo.forks_count / 200) * 5, 5);
+    const starsForMax = options.starsForMax || 2000;
+    const forksForMax = options.forksForMax || 200;
+    const starScore = Math.min((repo.stargazers_count / starsForMax) * 20, 20);
+    const forkScore = Math.min((repo.forks_count / forksForMax) * 5, 5);
+    
+    evidence.push({ label: `${repo.stargazers_count} stars (full marks at ${starsForMax})`, points: starScore, max: 20 });
+    evidence.push({ label: `${repo.forks_count} forks (full marks at ${forksForMax})`, points: forkScore, max: 5 });
     
     return starScore + forkScore;
   }
 
-  calculateActivityScore(repo, commits = [], releases = []) {
+  calculateActivityScore(repo, commits = [], releases = [], evidence = []) {
     // 20 points max: Recent commits (15) + Recent releases (5)
+    const now = this.clock.now();
     const lastUpdate = moment(repo.pushed_at);
-    const daysSinceUpdate = moment().diff(lastUpdate, 'days');
+    const daysSinceUpdate = now.diff(lastUpdate, 'days');
     
     // Recent commits score (15 points)
     let commitScore = 0;
@@ -46,61 +211,75 @@ class QualityScorer {
     else if (daysSinceUpdate <= 90) commitScore = 8;
     else if (daysSinceUpdate <= 180) commitScore = 4;
     else commitScore = 0;
+    evidence.push({ label: `Last push ${daysSinceUpdate} days ago`, points: commitScore, max: 15 });
 
     // Recent releases score (5 points)
     let releaseScore = 0;
     if (releases && releases.length > 0) {
       const latestRelease = moment(releases[0].published_at);
-      const daysSinceRelease = moment().diff(latestRelease, 'days');
+      const daysSinceRelease = now.diff(latestRelease, 'days');
       
       if (daysSinceRelease <= 90) releaseScore = 5;
       else if (daysSinceRelease <= 180) releaseScore = 3;
       else if (daysSinceRelease <= 365) releaseScore = 1;
+      
+      evidence.push({
+        label: daysSinceRelease > 365 ? `No release in 365 days (latest ${daysSinceRelease} days ago)` : `Latest release ${daysSinceRelease} days ago`,
+        points: releaseScore,
+        max: 5
+      });
+    } else {
+      evidence.push({ label: 'No releases published', points: 0, max: 5 });
     }
 
     return commitScore + releaseScore;
   }
 
-  calculateDocumentationScore(repo, readme = null, hasWiki = false) {
-    // 20 points max: README quality (15) + Wiki/Docs (5)
-    let readmeScore = 0;
+  calculateDocumentationScore(repo, readme = null, hasWiki = false, readmeAnalysis = null, evidence = []) {
+    // 20 points max: README analysis (15) + Wiki/Docs (5)
+    const analysis = readmeAnalysis || ReadmeAnalyzer.analyzeFile(readme, { homepage: repo.homepage });
+    const wikiScore = hasWiki ? 5 : 0;
     
-    if (readme) {
-      const content = Buffer.from(readme.content, 'base64').toString();
-      const length = content.length;
-      
-      // Basic README score
-      if (length > 500) readmeScore += 5;
-      if (length > 2000) readmeScore += 3;
-      if (length > 5000) readmeScore += 2;
-      
-      // Quality indicators
-      if (content.includes('## ') || content.includes('# ')) readmeScore += 2; // Headers
-      if (content.includes('```')) readmeScore += 2; // Code examples
-      if (content.includes('[![') || content.includes('![')) readmeScore += 1; // Badges/Images
+    if (analysis.length > 0) {
+      analysis.signals.forEach(signal => {
+        evidence.push({ label: `README: ${signal.label.toLowerCase()} (${signal.detail})`, points: signal.points, max: signal.max });
+      });
+    } else {
+      evidence.push({ label: 'README missing', points: 0, max: 15 });
     }
-
-    const wikiScore = hasWiki ? 5 : 0;
+    evidence.push({ label: hasWiki ? 'Wiki enabled' : 'No wiki', points: wikiScore, max: 5 });
     
-    return Math.min(readmeScore, 15) + wikiScore;
+    return Math.min(analysis.score, 15) + wikiScore;
   }
 
-  calculateCommunityScore(repo, hasLicense = false, hasContributing = false) {
+  calculateCommunityScore(repo, hasLicense = false, hasContributing = false, evidence = []) {
     // 15 points max: License (8) + Contributing (4) + Issues/Community (3)
     const licenseScore = hasLicense ? 8 : 0;
     const contributingScore = hasContributing ? 4 : 0;
     
     // Community engagement score
     let communityScore = 0;
-    if (repo.open_issues_count > 0 && repo.open_issues_count < 100) communityScore += 2;
+    const engagedIssues = repo.open_issues_count > 0 && repo.open_issues_count < 100;
+    if (engagedIssues) communityScore += 2;
     if (repo.has_issues) communityScore += 1;
     
+    evidence.push({ label: hasLicense ? 'LICENSE present' : 'LICENSE missing', points: licenseScore, max: 8 });
+    evidence.push({ label: hasContributing ? 'CONTRIBUTING.md present' : 'CONTRIBUTING.md missing', points: contributingScore, max: 4 });
+    evidence.push({
+      label: `${repo.open_issues_count || 0} open issues${engagedIssues ? '' : ' (expected 1-99)'}`,
+      points: engagedIssues ? 2 : 0,
+      max: 2
+    });
+    evidence.push({ label: repo.has_issues ? 'Issue tracker enabled' : 'Issue tracker disabled', points: repo.has_issues ? 1 : 0, max: 1 });
+    
     return licenseScore + contributingScore + communityScore;
   }
 
-  calculateMaintenanceScore(repo, releases = []) {
+  calculateMaintenanceScore(repo, releases = [], evidence = []) {
     // 10 points max: Regular releases and maintenance patterns
     let score = 0;
+    const releaseCount = releases ? releases.length : 0;
+    evidence.push({ label: `${releaseCount} releases (1 point each, up to 5)`, points: Math.min(releaseCount, 5), max: 5 });
     
     if (releases && releases.length > 0) {
       score += Math.min(releases.length, 5); // Up to 5 points for number of releases
@@ -114,71 +293,239 @@ class QualityScorer {
         }
         
         const avgGap = releaseGaps.reduce((sum, gap) => sum + gap, 0) / releaseGaps.length;
-        if (avgGap <= 90) score += 3; // Regular releases every ~3 months
-        else if (avgGap <= 180) score += 2; // Semi-regular releases
-        else score += 1;
+        const cadenceScore = avgGap <= 90 ? 3 : avgGap <= 180 ? 2 : 1; // Regular releases every ~3 months score highest
+        score += cadenceScore;
+        evidence.push({ label: `Releases every ~${Math.round(avgGap)} days`, points: cadenceScore, max: 3 });
       }
     }
+    if (releaseCount < 3) {
+      evidence.push({ label: 'Too few releases to judge release cadence', points: 0, max: 3 });
+    }
     
     return Math.min(score, 10);
   }
 
-  calculateCodeQualityScore(repo, hasCI = false) {
-    // 10 points max: Topics (3) + CI/CD (4) + Not archived (3)
+  calculateCodeQualityScore(repo, ciStatus = null, evidence = []) {
+    // 10 points max: Topics (3) + CI/CD (2) + Tests in CI (2) + Not archived (3)
     let score = 0;
+    const topicCount = repo.topics ? repo.topics.length : 0;
     
     // Topics/Keywords
-    if (repo.topics && repo.topics.length > 0) {
-      score += Math.min(repo.topics.length, 3);
+    if (topicCount > 0) {
+      score += Math.min(topicCount, 3);
     }
+    evidence.push({ label: `${topicCount} topics (1 point each, up to 3)`, points: Math.min(topicCount, 3), max: 3 });
     
-    // CI/CD presence
-    if (hasCI) {
-      score += 4;
+    // CI/CD systems and whether they run the tests. A bare boolean (inputs
+    // saved before CI detection) keeps the all-or-nothing 4 points.
+    if (typeof ciStatus === 'boolean' || !ciStatus) {
+      if (ciStatus) score += 4;
+      evidence.push({ label: ciStatus ? 'CI/CD configured' : 'No CI/CD configuration found', points: ciStatus ? 4 : 0, max: 4 });
+    } else {
+      if (ciStatus.configured) score += 2;
+      evidence.push({
+        label: ciStatus.configured ? `CI/CD configured (${ciStatus.systems.map(system => system.name).join(', ')})` : 'No CI/CD configuration found',
+        points: ciStatus.configured ? 2 : 0,
+        max: 2
+      });
+
+      if (ciStatus.runsTests) score += 2;
+      evidence.push({
+        label: ciStatus.runsTests ? `Tests run in CI (${ciStatus.testCommands[0]})` : 'No test step found in CI',
+        points: ciStatus.runsTests ? 2 : 0,
+        max: 2
+      });
     }
     
     // Repository status
     if (!repo.archived) score += 3;
+    evidence.push({ label: repo.archived ? 'Repository archived' : 'Repository not archived', points: repo.archived ? 0 : 3, max: 3 });
     
     return score;
   }
 
+  calculateSustainabilityScore(repo, metrics, evidence = []) {
+    // 15 points max: Commit frequency (5) + Recent committers (4) + Bus factor (4) + Organization ownership (2)
+    const activeShare = metrics.activeWeeks / metrics.weeksObserved;
+    let frequencyScore = 0;
+    if (metrics.commitsCapped || activeShare >= 0.75) frequencyScore = 5;
+    else if (activeShare >= 0.5) frequencyScore = 4;
+    else if (activeShare >= 0.25) frequencyScore = 2;
+    else if (metrics.activeWeeks > 0) frequencyScore = 1;
+    evidence.push({
+      label: metrics.commitsCapped
+        ? `${metrics.recentCommits}+ commits in the last ${metrics.weeksObserved} weeks`
+        : `Commits in ${metrics.activeWeeks} of the last ${metrics.weeksObserved} weeks`,
+      points: frequencyScore,
+      max: 5
+    });
+
+    let committerScore = 0;
+    if (metrics.recentCommitters >= 5) committerScore = 4;
+    else if (metrics.recentCommitters >= 3) committerScore = 3;
+    else if (metrics.recentCommitters === 2) committerScore = 2;
+    evidence.push({ label: `${metrics.recentCommitters} distinct committers in the last ${metrics.weeksObserved} weeks`, points: committerScore, max: 4 });
+
+    // Bus factor: how much of the work rests on the top contributor
+    let busScore = 0;
+    const share = metrics.topContributorShare;
+    if (share !== null) {
+      if (share <= 50) busScore = 4;
+      else if (share <= 75) busScore = 2;
+      else if (share <= 90) busScore = 1;
+      const source = metrics.contributionSource === 'contributors' ? 'contributions' : 'recent commits';
+      evidence.push({ label: `Top contributor ${metrics.topContributor} made ${share}% of ${source} (bus factor ${metrics.busFactor})`, points: busScore, max: 4 });
+    } else {
+      evidence.push({ label: 'No contributor data', points: 0, max: 4 });
+    }
+
+    const organization = metrics.ownerType === 'Organization';
+    evidence.push({ label: organization ? 'Owned by an organization' : 'Owned by an individual', points: organization ? 2 : 0, max: 2 });
+
+    return frequencyScore + committerScore + busScore + (organization ? 2 : 0);
+  }
+
+  calculateResponsivenessScore(repo, health, evidence = []) {
+    // 15 points max: First response (5) + Time to close (4) + Open/closed ratio (3) + Stale issues (3)
+    if (!health || health.sampled === 0) {
+      evidence.push({ label: 'No recent issues or pull requests to judge responsiveness', points: 0, max: 15 });
+      return 0;
+    }
+
+    const hours = health.medianFirstResponseHours;
+    let responseScore = 0;
+    if (hours !== null) {
+      if (hours <= 24) responseScore = 5;
+      else if (hours <= 72) responseScore = 4;
+      else if (hours <= 24 * 7) responseScore = 3;
+      else if (hours <= 24 * 30) responseScore = 1;
+    }
+    evidence.push({
+      label: hours !== null ? `Median first response ${Helpers.formatDuration(hours)}` : 'No responses to recent issues or pull requests',
+      points: responseScore,
+      max: 5
+    });
+
+    const days = health.medianCloseDays;
+    let closeScore = 0;
+    if (days !== null) {
+      if (days <= 7) closeScore = 4;
+      else if (days <= 30) closeScore = 3;
+      else if (days <= 90) closeScore = 2;
+      else if (days <= 365) closeScore = 1;
+    }
+    evidence.push({
+      label: days !== null ? `Median time to close ${Helpers.formatDuration(days * 24)}` : 'No recent issues or pull requests closed',
+      points: closeScore,
+      max: 4
+    });
+
+    const ratio = health.openClosedRatio;
+    let ratioScore = 0;
+    if (ratio !== null) {
+      if (ratio <= 0.25) ratioScore = 3;
+      else if (ratio <= 0.5) ratioScore = 2;
+      else if (ratio <= 1) ratioScore = 1;
+    }
+    evidence.push({ label: `${health.open} open / ${health.closed} closed of the last ${health.sampled} issues and PRs`, points: ratioScore, max: 3 });
+
+    let staleScore = 0;
+    if (health.staleIssues === 0) staleScore = 3;
+    else if (health.staleIssues <= 5) staleScore = 2;
+    else if (health.staleIssues <= 20) staleScore = 1;
+    evidence.push({
+      label: `${health.staleIssues}${health.staleCapped ? '+' : ''} open issues untouched for ${IssueHealth.staleDays}+ days`,
+      points: staleScore,
+      max: 3
+    });
+
+    return responseScore + closeScore + ratioScore + staleScore;
+  }
+
+  calculateSecurityScore(repo, posture, evidence = []) {
+    // 15 points max: Code scanning (4) + Dependency updates (4) + Security policy (3) + Signed releases (2) + Code owners (2)
+    if (!posture) {
+      evidence.push({ label: 'Security files not checked', points: 0, max: 15 });
+      return 0;
+    }
+
+    const codeScanning = posture.codeScanning.length > 0 ? 4 : 0;
+    evidence.push({
+      label: codeScanning
+        ? `Code scanning: ${posture.codeScanning.map(scan => `${scan.tool} (${scan.workflow})`).join(', ')}`
+        : 'No code scanning workflow (CodeQL, Semgrep, Snyk...)',
+      points: codeScanning,
+      max: 4
+    });
+
+    const dependencyUpdates = posture.dependencyUpdates.length > 0 ? 4 : 0;
+    evidence.push({
+      label: dependencyUpdates
+        ? `Dependency updates via ${posture.dependencyUpdates.map(config => `${config.tool} (${config.path})`).join(', ')}`
+        : 'No Dependabot or Renovate config',
+      points: dependencyUpdates,
+      max: 4
+    });
+
+    const policy = posture.securityPolicy ? 3 : 0;
+    evidence.push({ label: policy ? `Security policy (${posture.securityPolicy})` : 'SECURITY.md missing', points: policy, max: 3 });
+
+    const signed = posture.signedReleases ? 2 : 0;
+    let signedLabel = 'No signed releases';
+    if (posture.signedReleases) {
+      signedLabel = posture.signedReleases.source === 'asset'
+        ? `Signed release artifacts (${posture.signedReleases.detail})`
+        : `Release signing in ${posture.signedReleases.detail}`;
+    }
+    evidence.push({ label: signedLabel, points: signed, max: 2 });
+
+    const codeOwners = posture.codeOwners ? 2 : 0;
+    evidence.push({ label: codeOwners ? `Code owners (${posture.codeOwners})` : 'No CODEOWNERS file', points: codeOwners, max: 2 });
+
+    return codeScanning + dependencyUpdates + policy + signed + codeOwners;
+  }
+
   calculateGrade(score) {
-    if (score >= 90) return 'A+';
-    if (score >= 80) return 'A';
-    if (score >= 70) return 'B';
-    if (score >= 60) return 'C';
-    if (score >= 50) return 'D';
-    return 'F';
+    return this.model.grades.find(grade => score >= grade.min).grade;
   }
 
   getGradeColor(grade) {
-    const colors = {
-      'A+': '#4CAF50', // Green
-      'A': '#8BC34A',   // Light Green
-      'B': '#FFC107',   // Amber
-      'C': '#FF9800',   // Orange
-      'D': '#FF5722',   // Deep Orange
-      'F': '#F44336'    // Red
-    };
-    return colors[grade] || '#9E9E9E';
+    const entry = this.model.grades.find(g => g.grade === grade);
+    return (entry && entry.color) || '#9E9E9E';
   }
 
   getScoreDescription(score) {
-    if (score >= 90) return 'Exceptional quality with excellent documentation, active maintenance, and strong community support.';
-    if (score >= 80) return 'High quality repository with good practices and regular maintenance.';
-    if (score >= 70) return 'Good quality repository with decent documentation and community engagement.';
-    if (score >= 60) return 'Average quality repository that meets basic standards.';
-    if (score >= 50) return 'Below average quality with some areas needing improvement.';
-    return 'Poor quality repository with significant issues or lack of maintenance.';
+    const entry = this.model.grades.find(grade => score >= grade.min);
+    return entry.description || '';
   }
 }
 
+// Built-in dimensions, scaled from their point maxima to 0-1
+QualityScorer.registerDimension('popularity', (repo, data, options, scorer, evidence) =>
+  scorer.calculatePopularityScore(repo, options, evidence) / 25, { maxPoints: 25 });
+QualityScorer.registerDimension('activity', (repo, data, options, scorer, evidence) =>
+  scorer.calculateActivityScore(repo, data.commits, data.releases, evidence) / 20, { maxPoints: 20 });
+QualityScorer.registerDimension('documentation', (repo, data, options, scorer, evidence) =>
+  scorer.calculateDocumentationScore(repo, data.readme, data.hasWiki, data.readmeAnalysis, evidence) / 20, { maxPoints: 20 });
+QualityScorer.registerDimension('community', (repo, data, options, scorer, evidence) =>
+  scorer.calculateCommunityScore(repo, data.hasLicense, data.hasContributing, evidence) / 15, { maxPoints: 15 });
+QualityScorer.registerDimension('maintenance', (repo, data, options, scorer, evidence) =>
+  scorer.calculateMaintenanceScore(repo, data.releases, evidence) / 10, { maxPoints: 10 });
+QualityScorer.registerDimension('codeQuality', (repo, data, options, scorer, evidence) =>
+  scorer.calculateCodeQualityScore(repo, data.ciStatus || CIDetector.analyze(data.ci, data.security && data.security.workflows) || !!data.hasCI, evidence) / 10, { maxPoints: 10 });
+QualityScorer.registerDimension('responsiveness', (repo, data, options, scorer, evidence) =>
+  scorer.calculateResponsivenessScore(repo, data.issueHealth || IssueHealth.analyze(data.issueActivity, scorer.clock.now()), evidence) / 15, { maxPoints: 15 });
+QualityScorer.registerDimension('security', (repo, data, options, scorer, evidence) =>
+  scorer.calculateSecurityScore(repo, data.securityPosture || SecurityPosture.analyze(data.security, data.releases), evidence) / 15, { maxPoints: 15 });
+QualityScorer.registerDimension('sustainability', (repo, data, options, scorer, evidence) =>
+  scorer.calculateSustainabilityScore(repo, data.contributorMetrics || ContributorMetrics.analyze(repo, data.commits, data.contributors, scorer.clock.now()), evidence) / 15, { maxPoints: 15 });
+
 // Create and export instance for easy access
 const scorer = new QualityScorer();
 
 module.exports = {
   QualityScorer,
   calculateQualityScore: (repo, additionalData) => scorer.calculateScore(repo, additionalData),
+  registerDimension: QualityScorer.registerDimension,
   scorer
 };
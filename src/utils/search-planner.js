@@ -0,0 +1,150 @@
+const { clock } = require('./clock');
+
+// GitHub search never returns more than 1000 results for a single query
+const SEARCH_RESULT_CAP = 1000;
+
+/**
+ * Expands a category's search terms, topics and included orgs into the list
+ * of queries a scan runs.
+ *
+ * Each search term is run once per category language (GitHub only accepts a
+ * single language per qualifier), can be split into star ranges or
+ * creation-date windows so that every slice stays under GitHub's
+ * 1000-result cap, and each query is paginated up to `maxPages` pages.
+ */
+class SearchPlanner {
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || 1;
+    this.split = options.split || 'none';
+    this.starBoundaries = options.starBoundaries || [50, 200, 1000, 5000];
+    this.createdSince = options.createdSince || 2010;
+    this.languageMode = options.languageMode || 'separate';
+    this.clock = options.clock || clock;
+
+    if (!['separate', 'any'].includes(this.languageMode)) {
+      throw new Error(`Invalid search language mode "${this.languageMode}" (expected separate or any)`);
+    }
+
+    if (!['none', 'stars', 'created'].includes(this.split)) {
+      throw new Error(`Invalid search split "${this.split}" (expected none, stars or created)`);
+    }
+  }
+
+  static fromEnv() {
+    return new SearchPlanner({
+      maxPages: parseInt(process.env.SEARCH_MAX_PAGES) || 1,
+      split: process.env.SEARCH_SPLIT || 'none',
+      starBoundaries: process.env.SEARCH_STAR_BOUNDARIES
+        ? process.env.SEARCH_STAR_BOUNDARIES.split(',').map(n => parseInt(n)).filter(Boolean)
+        : undefined,
+      createdSince: parseInt(process.env.SEARCH_CREATED_SINCE) || undefined,
+      languageMode: process.env.SEARCH_LANGUAGES
+    });
+  }
+
+  // Categories may override depth, split strategy and language mode with a `search` block
+  forCategory(category) {
+    if (!category.search) return this;
+
+    return new SearchPlanner({
+      maxPages: category.search.maxPages || this.maxPages,
+      split: category.search.split || this.split,
+      starBoundaries: this.starBoundaries,
+      createdSince: this.createdSince,
+      languageMode: category.search.languages || this.languageMode,
+      clock: this.clock
+    });
+  }
+
+  // Star ranges from minStars upwards, e.g. 10..49, 50..199, ..., >=5000
+  getStarWindows(minStars) {
+    const bounds = this.starBoundaries.filter(bound => bound > minStars);
+    const windows = [];
+    let lower = minStars;
+
+    bounds.forEach(bound => {
+      windows.push({ stars: `${lower}..${bound - 1}`, label: `stars:${lower}..${bound - 1}` });
+      lower = bound;
+    });
+    windows.push({ stars: `>=${lower}`, label: `stars:>=${lower}` });
+
+    return windows;
+  }
+
+  // Yearly creation-date windows from createdSince to today, newest first
+  getCreatedWindows() {
+    const windows = [];
+    const currentYear = this.clock.now().year();
+
+    for (let year = currentYear; year >= this.createdSince; year--) {
+      const range = year === this.createdSince
+        ? `<=${year}-12-31`
+        : `${year}-01-01..${year}-12-31`;
+      windows.push({ created: range, label: `created:${range}` });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Build the ordered query plan for a category: keyword searches first,
+   * then `topic:` queries and org-wide `org:` queries. Each entry carries
+   * the discovery source that surfaced it and the extra filters for its
+   * slice; the list is stable for a given configuration so checkpoints can
+   * refer to entries by index.
+   */
+  buildPlan(category, baseFilters = {}) {
+    const windows = {
+      none: [{ label: null }],
+      stars: this.getStarWindows(baseFilters.minStars || 0),
+      created: this.getCreatedWindows()
+    }[this.split];
+
+    const languages = this.languageMode === 'separate' && category.languages && category.languages.length > 0
+      ? category.languages
+      : [null];
+
+    const plan = [];
+    const addEntries = (source, filters, prefix) => {
+      windows.forEach(({ label, ...window }) => {
+        plan.push({
+          source,
+          searchTerm: source.searchTerm || null,
+          language: source.language || null,
+          filters: { ...baseFilters, ...window, ...filters },
+          label: [prefix, label].filter(Boolean).join(' ')
+        });
+      });
+    };
+
+    category.searchTerms.forEach(searchTerm => {
+      languages.forEach(language => {
+        const prefix = language ? `"${searchTerm}" language:${language}` : `"${searchTerm}"`;
+        addEntries({ type: 'search', searchTerm, language }, { language }, prefix);
+      });
+    });
+
+    (category.topics || []).forEach(topic => {
+      addEntries({ type: 'topic', topic }, { topic }, `topic:${topic}`);
+    });
+
+    (category.includeOrgs || []).forEach(org => {
+      addEntries({ type: 'org', org }, { org }, `org:${org}`);
+    });
+
+    return plan;
+  }
+
+  // Whether another page exists after `page` for a search response
+  hasMorePages(results, page, perPage) {
+    if (page >= this.maxPages) return false;
+    if (!results.items || results.items.length < perPage) return false;
+    return page * perPage < Math.min(results.total_count, SEARCH_RESULT_CAP);
+  }
+
+  isCapped(results) {
+    return this.split === 'none' && results.total_count > SEARCH_RESULT_CAP;
+  }
+}
+
+module.exports = SearchPlanner;
@@ -0,0 +1,94 @@
+/**
+ * Security hygiene signals from a repository's files: a security policy,
+ * automated dependency updates (Dependabot, Renovate), code scanning
+ * workflows (CodeQL and similar), signed releases and code owners, the
+ * closest thing to branch protection that can be seen without admin access.
+ *
+ * The scanners hand over `{ files, workflows }`: the paths of SECURITY_FILES
+ * that exist and the workflow files as { name, path, content }.
+ */
+
+// Where GitHub and the tools look for each file (root, .github/ or docs/)
+const SECURITY_FILES = {
+  securityPolicy: ['SECURITY.md', '.github/SECURITY.md', 'docs/SECURITY.md'],
+  dependabot: ['.github/dependabot.yml', '.github/dependabot.yaml'],
+  renovate: ['renovate.json', 'renovate.json5', '.renovaterc', '.renovaterc.json', '.github/renovate.json', '.github/renovate.json5'],
+  codeOwners: ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS']
+};
+
+const WORKFLOWS_DIR = '.github/workflows';
+
+const CODE_SCANNERS = [
+  { name: 'CodeQL', pattern: /github\/codeql-action\/(init|analyze)/ },
+  { name: 'Semgrep', pattern: /semgrep/i },
+  { name: 'Snyk', pattern: /snyk\/actions|snyk (test|monitor|code test)/i },
+  { name: 'Trivy', pattern: /aquasecurity\/trivy-action/i },
+  { name: 'OpenSSF Scorecard', pattern: /ossf\/scorecard-action/i },
+  { name: 'SonarCloud', pattern: /SonarSource\/(sonarcloud-github-action|sonarqube-scan-action)/i },
+  { name: 'SARIF upload', pattern: /github\/codeql-action\/upload-sarif/ }
+];
+
+const SIGNING_WORKFLOW = /sigstore\/(cosign-installer|gh-action-sigstore-python)|slsa-framework\/slsa-github-generator|actions\/attest-build-provenance|gpg\s+(--batch\s+)?(--detach-sign|-ab|--armor)/i;
+const SIGNATURE_ASSET = /\.(sig|asc|sigstore|sigstore\.json|intoto\.jsonl)$|provenance/i;
+
+class SecurityPosture {
+  static get files() {
+    return SECURITY_FILES;
+  }
+
+  static get candidatePaths() {
+    return Object.values(SECURITY_FILES).flat();
+  }
+
+  static get workflowsDir() {
+    return WORKFLOWS_DIR;
+  }
+
+  // The candidate paths present among a list of repository paths
+  static matchFiles(paths) {
+    const present = new Set(paths);
+    return SecurityPosture.candidatePaths.filter(file => present.has(file));
+  }
+
+  /**
+   * Analyse the security inputs and the repository's releases (latest first).
+   * Returns null when the files were never checked.
+   */
+  static analyze(security, releases = []) {
+    if (!security) return null;
+
+    const files = security.files || [];
+    const workflows = (security.workflows || []).filter(workflow => workflow.content);
+    const find = key => SECURITY_FILES[key].find(file => files.includes(file)) || null;
+
+    const codeScanning = [];
+    CODE_SCANNERS.forEach(scanner => {
+      const workflow = workflows.find(candidate => scanner.pattern.test(candidate.content));
+      if (workflow) codeScanning.push({ tool: scanner.name, workflow: workflow.name });
+    });
+
+    const dependabot = find('dependabot');
+    const renovate = find('renovate');
+    const dependencyUpdates = [dependabot && { tool: 'Dependabot', path: dependabot }, renovate && { tool: 'Renovate', path: renovate }]
+      .filter(Boolean);
+
+    // Signature or provenance files on the latest release, or a signing step in a workflow
+    const latest = (releases || [])[0];
+    const signatureAsset = latest && (latest.assets || []).find(asset => SIGNATURE_ASSET.test(asset.name));
+    const signingWorkflow = workflows.find(workflow => SIGNING_WORKFLOW.test(workflow.content));
+
+    return {
+      securityPolicy: find('securityPolicy'),
+      dependencyUpdates,
+      codeScanning,
+      signedReleases: signatureAsset || signingWorkflow ? {
+        source: signatureAsset ? 'asset' : 'workflow',
+        detail: signatureAsset ? signatureAsset.name : signingWorkflow.name
+      } : null,
+      codeOwners: find('codeOwners'),
+      workflowsChecked: workflows.length
+    };
+  }
+}
+
+module.exports = SecurityPosture;
@@ -0,0 +1,43 @@
+/**
+ * Minimal bounded-concurrency pool. `map` processes a list with at most
+ * `concurrency` workers in flight; `run` can be used directly as a semaphore.
+ */
+class WorkerPool {
+  constructor(concurrency = 1) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  static fromEnv() {
+    return new WorkerPool(parseInt(process.env.ENRICHMENT_CONCURRENCY) || 3);
+  }
+
+  async run(task) {
+    // A finishing task hands its slot straight to the next waiter, so the
+    // active count never drops below the limit while work is queued
+    if (this.active >= this.concurrency) {
+      await new Promise(resolve => this.queue.push(resolve));
+    } else {
+      this.active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  // Results keep the input order regardless of completion order
+  async map(items, worker) {
+    return Promise.all(items.map((item, index) => this.run(() => worker(item, index))));
+  }
+}
+
+module.exports = WorkerPool;
@@ -18,10 +18,33 @@ const requiredFiles = [
   'src/staged-scanner.js',
   'src/generator.js', 
   'src/staged-generator.js',
+  'src/rescore.js',
   'src/config/categories.js',
+  'src/config/categories.json',
+  'src/config/exclusions.json',
+  'src/config/scoring.json',
   'src/utils/github.js',
   'src/utils/scoring.js',
   'src/utils/helpers.js',
+  'src/utils/fixtures.js',
+  'src/utils/response-cache.js',
+  'src/utils/rate-limiter.js',
+  'src/utils/graphql-enricher.js',
+  'src/utils/worker-pool.js',
+  'src/utils/search-planner.js',
+  'src/utils/exclusion-rules.js',
+  'src/utils/classifier.js',
+  'src/utils/percentiles.js',
+  'src/utils/readme-analyzer.js',
+  'src/utils/contributor-metrics.js',
+  'src/utils/issue-health.js',
+  'src/utils/score-history.js',
+  'src/utils/scoring-inputs.js',
+  'src/utils/clock.js',
+  'src/utils/security-posture.js',
+  'src/utils/scorecard.js',
+  'src/utils/ci-detector.js',
+  'src/utils/enrichment.js',
   'assets/css/style.css',
   'assets/js/main.js',
   '.github/workflows/update-resources.yml',
@@ -73,6 +96,301 @@ try {
   
   const score = calculateQualityScore(mockRepo);
   console.log(`✅ Quality scoring test: ${score.total}/100 points`);
+
+  // Fixture keys must be stable across days for offline replay
+  const FixtureStore = require('./src/utils/fixtures.js');
+  const store = new FixtureStore('fixtures', 'replay');
+  const keyA = store.describeRequest({ method: 'GET', url: '/search/repositories', q: 'jest pushed:>2024-01-01', headers: {} });
+  const keyB = store.describeRequest({ method: 'GET', url: '/search/repositories', q: 'jest pushed:>2025-06-30', headers: {} });
+  const sinceA = store.describeRequest({ method: 'GET', url: '/repos/{owner}/{repo}/commits', owner: 'a', repo: 'b', since: '2024-01-01T10:00:00.000Z', headers: {} });
+  const sinceB = store.describeRequest({ method: 'GET', url: '/repos/{owner}/{repo}/commits', owner: 'a', repo: 'b', since: '2024-04-02T11:30:00.000Z', headers: {} });
+  if (keyA !== keyB || sinceA !== sinceB || store.fixturePath(keyA) !== store.fixturePath(keyB)) {
+    throw new Error('Fixture keys should ignore relative dates');
+  }
+  // Created-date windows are fixed ranges and must each keep their own fixture
+  const window2022 = store.describeRequest({ method: 'GET', url: '/search/repositories', q: 'jest created:2022-01-01..2022-12-31', headers: {} });
+  const window2023 = store.describeRequest({ method: 'GET', url: '/search/repositories', q: 'jest created:2023-01-01..2023-12-31', headers: {} });
+  if (window2022 === window2023) {
+    throw new Error('Fixture keys should keep created-date windows apart');
+  }
+  console.log('✅ Fixture replay keys are date-independent, created windows stay distinct');
+
+  // The governor spaces calls per in-flight slot and honours an explicit 0 retries
+  const RateLimitGovernor = require('./src/utils/rate-limiter.js');
+  const governor = new RateLimitGovernor({ minDelay: 2000, maxConcurrent: 4 });
+  const core = governor.getBucket('core');
+  const coreSpacing = governor.spacing(core, Date.now());
+  const searchSpacing = governor.spacing(governor.getBucket('search'), Date.now());
+  Object.assign(core, { remaining: 100, limit: 5000, reset: Date.now() + 600000 });
+  const lowSpacing = governor.spacing(core, Date.now());
+  process.env.RATE_LIMIT_MAX_RETRIES = '0';
+  const noRetries = RateLimitGovernor.fromEnv().maxRetries;
+  delete process.env.RATE_LIMIT_MAX_RETRIES;
+  if (coreSpacing !== 500 || searchSpacing !== 2000 || lowSpacing < 5000 || noRetries !== 0) {
+    throw new Error(`Unexpected governor pacing (${coreSpacing}, ${searchSpacing}, ${lowSpacing}, ${noRetries} retries)`);
+  }
+  console.log(`✅ Rate-limit governor: ${coreSpacing}ms between core calls, ${Math.round(lowSpacing)}ms when running low`);
+
+  // Star-range splitting must cover every star count above the minimum
+  const SearchPlanner = require('./src/utils/search-planner.js');
+  const planner = new SearchPlanner({ split: 'stars', starBoundaries: [50, 200] });
+  const windows = planner.getStarWindows(10).map(w => w.stars).join(' ');
+  if (windows !== '10..49 50..199 >=200') {
+    throw new Error(`Unexpected star windows: ${windows}`);
+  }
+  const plan = planner.buildPlan(categories['api-testing']);
+  if (plan.some(entry => entry.filters.language && entry.filters.language.includes(','))) {
+    throw new Error('Each search query must target a single language');
+  }
+  console.log(`✅ Search planner: ${plan.length} queries for API Testing`);
+
+  // Default exclusion rules should drop list/tutorial repositories but not real tools
+  const ExclusionRules = require('./src/utils/exclusion-rules.js');
+  const exclusions = ExclusionRules.fromConfig({ categories: Object.values(categories) });
+  const excludedName = exclusions.check({ full_name: 'someone/awesome-testing', name: 'awesome-testing' });
+  const keptName = exclusions.check({ full_name: 'jestjs/jest', name: 'jest', description: 'Delightful JavaScript Testing.' });
+  if (!excludedName || keptName) {
+    throw new Error('Unexpected exclusion rule results');
+  }
+  console.log(`✅ Exclusion rules: ${excludedName.rule} rule excludes awesome lists`);
+
+  // Older data with a single category must still resolve to a membership list
+  const membership = helpers.applyCategoryMembership({ category: 'web-automation' }, { 'web-automation': 40, 'api-testing': 80 });
+  if (membership.category !== 'api-testing' || helpers.getRepositoryCategories({ category: 'unit-testing' })[0] !== 'unit-testing') {
+    throw new Error('Unexpected category membership');
+  }
+  console.log('✅ Category membership: primary category follows relevance');
+
+  // The classifier should recognise a load testing tool found by a unit testing search
+  const CategoryClassifier = require('./src/utils/classifier.js');
+  const classification = new CategoryClassifier(categories).classify(
+    { name: 'k6-examples', description: 'Load testing scripts with k6', topics: ['k6', 'load-testing'] },
+    { manifests: { 'package.json': JSON.stringify({ devDependencies: { k6: '^0.0.0' } }) } },
+    'unit-testing'
+  );
+  if (classification.category !== 'performance-testing' || !classification.disagrees) {
+    throw new Error(`Unexpected classification: ${classification.category}`);
+  }
+  console.log(`✅ Category classifier: ${classification.category} (${classification.confidence}% confidence)`);
+
+  // A custom model with a plugin dimension should still score out of 100
+  const { QualityScorer } = require('./src/utils/scoring.js');
+  QualityScorer.registerDimension('alwaysFull', () => 1);
+  const customScorer = new QualityScorer({
+    dimensions: [
+      { key: 'maintenance', weight: 30 },
+      { key: 'alwaysFull', weight: 10 }
+    ],
+    grades: [{ grade: 'Pass', min: 25 }, { grade: 'Fail', min: 0 }]
+  });
+  const customScore = customScorer.calculateScore({ pushed_at: new Date().toISOString() }, { releases: [] });
+  if (customScore.total !== 25 || customScore.grade !== 'Pass') {
+    throw new Error(`Unexpected custom score: ${customScore.total} (${customScore.grade})`);
+  }
+  console.log(`✅ Scoring model: custom weights and plugin dimension (${customScore.total}/100)`);
+
+  // The grade follows the rounded total that is displayed (89.6 shows as 90)
+  QualityScorer.registerDimension('almostFull', () => 0.896);
+  const boundaryScore = new QualityScorer({
+    dimensions: [{ key: 'almostFull', weight: 100 }],
+    grades: [{ grade: 'A', min: 90 }, { grade: 'B', min: 0 }]
+  }).calculateScore({}, {});
+  if (boundaryScore.total !== 90 || boundaryScore.grade !== 'A') {
+    throw new Error(`Grade does not match the displayed total: ${boundaryScore.total} (${boundaryScore.grade})`);
+  }
+  console.log(`✅ Grade boundary: ${boundaryScore.total}/100 graded ${boundaryScore.grade}`);
+
+  // Every built-in dimension should explain its points, within its weight
+  const explained = require('./src/utils/scoring.js').calculateQualityScore(
+    { stargazers_count: 50, forks_count: 5, pushed_at: new Date().toISOString(), topics: [] },
+    { releases: [], hasLicense: false }
+  );
+  // The license is 8 of the community dimension's 15 points, which gets 11 of the 100
+  const evidencePoints = explained.evidence.reduce((sum, item) => sum + item.points, 0);
+  const breakdownPoints = Object.values(explained.breakdown).reduce((sum, points) => sum + points, 0);
+  if (!explained.evidence.some(item => item.label === 'LICENSE missing' && item.points === 0 && item.max === 5.9) ||
+      Math.abs(evidencePoints - breakdownPoints) > 1) {
+    throw new Error('Score evidence does not match the breakdown');
+  }
+  // Dimension points are rounded like the evidence and add up to the displayed total
+  if (Object.values(explained.breakdown).some(points => points !== Math.round(points * 10) / 10) ||
+      Math.abs(breakdownPoints - explained.total) > 0.5) {
+    throw new Error(`Breakdown ${JSON.stringify(explained.breakdown)} does not add up to ${explained.total}`);
+  }
+  console.log(`✅ Score evidence: ${explained.evidence.length} items, breakdown adds up to ${explained.total}`);
+
+  // The best repository of a small category should rank top there, whatever its absolute score
+  const PercentileNormalizer = require('./src/utils/percentiles.js');
+  const ranked = [20, 30, 40].map(total => ({
+    full_name: `example/repo-${total}`,
+    categories: ['ci-cd-testing'],
+    qualityScore: { total, breakdown: { popularity: total / 4 } }
+  }));
+  new PercentileNormalizer({ enabled: true, minGroupSize: 3 }).normalize(ranked);
+  const niche = PercentileNormalizer.forCategory(ranked[2], 'ci-cd-testing');
+  if (!niche || niche.total !== 83 || ranked[2].qualityScore.total !== 40) {
+    throw new Error('Unexpected category percentiles');
+  }
+  console.log(`✅ Percentile normalization: top ${100 - niche.total}% (${niche.grade}) in category`);
+
+  // An RST README should be parsed for install instructions and examples
+  const ReadmeAnalyzer = require('./src/utils/readme-analyzer.js');
+  const readmeAnalysis = ReadmeAnalyzer.analyze(
+    'Tool\n====\n\nInstallation\n------------\n\n.. code-block:: bash\n\n   pip install tool\n',
+    { path: 'README.rst' }
+  );
+  const found = readmeAnalysis.signals.filter(signal => signal.found).map(signal => signal.key);
+  if (readmeAnalysis.format !== 'rst' || !found.includes('install') || !found.includes('usage')) {
+    throw new Error(`Unexpected README analysis: ${found.join(', ')}`);
+  }
+  console.log(`✅ README analyzer: ${readmeAnalysis.score}/${readmeAnalysis.maxScore} (${found.join(', ')})`);
+
+  // One contributor doing nearly all the work should give a bus factor of 1
+  const ContributorMetrics = require('./src/utils/contributor-metrics.js');
+  const metrics = ContributorMetrics.analyze(
+    { owner: { login: 'example', type: 'User' } },
+    [{ commit: { author: { date: new Date().toISOString(), email: 'dev@example.com' } }, author: { login: 'dev' } }],
+    [{ login: 'dev', contributions: 95 }, { login: 'helper', contributions: 5 }]
+  );
+  if (metrics.busFactor !== 1 || metrics.topContributorShare !== 95 || metrics.activeWeeks !== 1) {
+    throw new Error('Unexpected contributor metrics');
+  }
+  console.log(`✅ Contributor metrics: bus factor ${metrics.busFactor}, top contributor ${metrics.topContributorShare}%`);
+
+  // A maintainer reply a day after each issue gives a 24 hour median first response
+  const IssueHealth = require('./src/utils/issue-health.js');
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const issueHealth = IssueHealth.analyze(IssueHealth.fromRest(
+    [
+      { url: 'issue/1', user: { login: 'user' }, created_at: daysAgo(10), closed_at: daysAgo(5), comments: 1 },
+      { url: 'issue/2', user: { login: 'user' }, created_at: daysAgo(4), closed_at: null, comments: 1 }
+    ],
+    [
+      { issue_url: 'issue/1', user: { login: 'maintainer' }, created_at: daysAgo(9) },
+      { issue_url: 'issue/2', user: { login: 'maintainer' }, created_at: daysAgo(3) }
+    ],
+    [{ updated_at: daysAgo(200) }]
+  ));
+  if (issueHealth.medianFirstResponseHours !== 24 || issueHealth.openClosedRatio !== 1 || issueHealth.staleIssues !== 1) {
+    throw new Error('Unexpected issue health');
+  }
+  // Staleness is judged when scoring, so the same saved activity ages with the clock
+  const { Clock } = require('./src/utils/clock.js');
+  const openActivity = IssueHealth.fromRest([], [], [{ updated_at: '2024-03-01T00:00:00Z' }]);
+  const staleInApril = IssueHealth.analyze(openActivity, new Clock('2024-04-01').now()).staleIssues;
+  const staleInJuly = IssueHealth.analyze(openActivity, new Clock('2024-07-01').now()).staleIssues;
+  if (staleInApril !== 0 || staleInJuly !== 1) {
+    throw new Error(`Stale issues should follow the clock (April ${staleInApril}, July ${staleInJuly})`);
+  }
+  console.log(`✅ Issue health: first response ${issueHealth.medianFirstResponseHours}h, ${issueHealth.staleIssues} stale issue, staleness follows the clock`);
+
+  // History keeps one entry per repository per cycle and trends across cycles
+  const ScoreHistory = require('./src/utils/score-history.js');
+  const history = new ScoreHistory(null);
+  const snapshot = (total, stars, scannedAt) => ({ full_name: 'example/repo', stargazers_count: stars, scannedAt, qualityScore: { total, breakdown: {} } });
+  history.record([snapshot(60, 100, '2024-01-01T00:00:00Z')], 1);
+  history.record([snapshot(61, 110, '2024-01-02T00:00:00Z')], 1);
+  history.record([snapshot(70, 170, '2024-01-15T00:00:00Z')], 2);
+  const trend = history.trend('example/repo');
+  if (history.entries('example/repo').length !== 2 || trend.scoreDelta !== 10 || trend.starVelocity !== 35 || !require('./src/utils/helpers.js').sparkline(trend.scores)) {
+    throw new Error('Unexpected score history trend');
+  }
+  console.log(`✅ Score history: ${trend.scoreDelta > 0 ? '+' : ''}${trend.scoreDelta} score, ${trend.starVelocity} stars/week`);
+
+  // Saved (compacted) inputs should rescore to the same total as the live scan
+  const ScoringInputs = require('./src/utils/scoring-inputs.js');
+  const scannedRepo = { stargazers_count: 300, forks_count: 30, pushed_at: new Date().toISOString(), topics: ['testing'], owner: { type: 'Organization' } };
+  const rawInputs = {
+    readme: { path: 'README.md', encoding: 'base64', content: Buffer.from('# Example\n## Install\nnpm install example\n').toString('base64'), html_url: 'https://github.com/example/repo' },
+    releases: [{ tag_name: 'v1.0.0', published_at: new Date().toISOString(), body: 'Release notes', assets: [] }],
+    commits: [{ sha: 'abc', commit: { author: { date: new Date().toISOString(), email: 'dev@example.com' } }, author: { login: 'dev', avatar_url: 'https://example.com' } }],
+    contributors: [{ login: 'dev', contributions: 10 }],
+    license: true,
+    contributing: false,
+    ci: { configs: [{ path: '.github/workflows', content: null }] },
+    security: { files: [], workflows: [{ name: 'test.yml', path: '.github/workflows/test.yml', content: 'steps:\n  - run: npm ci\n  - run: npm test\n' }] },
+    issueActivity: { items: [], openUpdatedAt: [], openCapped: false }
+  };
+  const liveTotal = calculateQualityScore(scannedRepo, ScoringInputs.analyze(scannedRepo, rawInputs).scoringData).total;
+  const savedTotal = calculateQualityScore(scannedRepo, ScoringInputs.analyze(scannedRepo, ScoringInputs.compact(rawInputs)).scoringData).total;
+  if (liveTotal !== savedTotal) {
+    throw new Error(`Rescored total ${savedTotal} differs from scanned total ${liveTotal}`);
+  }
+  console.log(`✅ Scoring inputs: rescored total matches scan (${savedTotal}/100)`);
+
+  // A pinned clock makes recency scoring independent of when the test runs
+  const pinnedScorer = new QualityScorer(undefined, { clock: new Clock('2024-06-01') });
+  const pinnedRepo = { stargazers_count: 100, forks_count: 10, pushed_at: '2024-05-30T00:00:00Z', topics: [] };
+  const pinned = pinnedScorer.calculateScore(pinnedRepo, { releases: [{ published_at: '2023-01-01T00:00:00Z' }] });
+  if (pinned.breakdown.activity !== 10.5 || !pinned.evidence.some(item => item.label === 'No release in 365 days (latest 517 days ago)')) {
+    throw new Error(`Unexpected pinned-clock activity score: ${pinned.breakdown.activity}`);
+  }
+  console.log(`✅ Clock: scored as of 2024-06-01 (activity ${pinned.breakdown.activity}/14)`);
+
+  // Creation-date windows follow the clock too, including a category's own planner
+  const pinnedPlanner = new SearchPlanner({ createdSince: 2022, clock: new Clock('2024-06-01') });
+  const pinnedWindows = pinnedPlanner.forCategory({ search: { split: 'created' } }).getCreatedWindows();
+  if (pinnedWindows.map(window => window.label).join(' ') !== 'created:2024-01-01..2024-12-31 created:2023-01-01..2023-12-31 created:<=2022-12-31') {
+    throw new Error(`Unexpected pinned-clock windows: ${pinnedWindows.map(window => window.label).join(', ')}`);
+  }
+  console.log(`✅ Clock: ${pinnedWindows.length} creation-date windows as of 2024-06-01`);
+
+  // Security signals come from file paths, workflow contents and release assets
+  const SecurityPosture = require('./src/utils/security-posture.js');
+  const posture = SecurityPosture.analyze(
+    {
+      files: SecurityPosture.matchFiles(['README.md', '.github/SECURITY.md', '.github/dependabot.yml']),
+      workflows: [{ name: 'codeql.yml', path: '.github/workflows/codeql.yml', content: 'uses: github/codeql-action/analyze@v3' }]
+    },
+    [{ tag_name: 'v1.0.0', assets: [{ name: 'tool.zip' }] }]
+  );
+  if (posture.securityPolicy !== '.github/SECURITY.md' || posture.dependencyUpdates[0].tool !== 'Dependabot' ||
+      posture.codeScanning[0].tool !== 'CodeQL' || posture.signedReleases || posture.codeOwners) {
+    throw new Error('Unexpected security posture');
+  }
+  console.log(`✅ Security posture: ${posture.codeScanning[0].tool}, ${posture.dependencyUpdates[0].tool}, ${posture.securityPolicy}`);
+
+  // Scorecard checks over an unsafe pull_request_target workflow and an MIT license
+  const ScorecardChecks = require('./src/utils/scorecard.js');
+  const scorecard = ScorecardChecks.analyze({
+    files: [],
+    workflows: [{
+      name: 'pr.yml',
+      path: '.github/workflows/pr.yml',
+      content: 'on: pull_request_target\njobs:\n  test:\n    steps:\n      - uses: actions/checkout@v4\n        with:\n          ref: ${{ github.event.pull_request.head.sha }}\n'
+    }],
+    license: { path: 'LICENSE', content: 'MIT License\n\nPermission is hereby granted, free of charge, to any person' }
+  });
+  const checkScore = key => scorecard.checks.find(check => check.key === key).score;
+  if (checkScore('dangerousWorkflow') !== 0 || checkScore('tokenPermissions') !== 0 || checkScore('pinnedDependencies') !== 0 ||
+      checkScore('fuzzing') !== 0 || checkScore('license') !== 10) {
+    throw new Error('Unexpected scorecard checks');
+  }
+  console.log(`✅ Scorecard checks: ${scorecard.score}/10 for an unpinned pull_request_target workflow`);
+
+  // The GraphQL backend counts a LICENSE.md and .github/CONTRIBUTING.md like REST does
+  const GraphQLEnricher = require('./src/utils/graphql-enricher.js');
+  const graphqlInputs = new GraphQLEnricher(null).toEnrichmentInputs({
+    releases: { nodes: [] },
+    mentionableUsers: { nodes: [] },
+    [`licenseFile${ScorecardChecks.licenseFiles.indexOf('LICENSE.md')}`]: { text: 'MIT License\n\nPermission is hereby granted, free of charge' },
+    [`contributing${QualityScorer.contributingFiles.indexOf('.github/CONTRIBUTING.md')}`]: { oid: 'abc123' }
+  });
+  if (!graphqlInputs.license || !graphqlInputs.contributing || graphqlInputs.security.license.path !== 'LICENSE.md') {
+    throw new Error('GraphQL enrichment missed LICENSE.md or .github/CONTRIBUTING.md');
+  }
+  console.log(`✅ GraphQL enrichment: ${graphqlInputs.security.license.path} and .github/CONTRIBUTING.md detected`);
+
+  // CI detection names each system and finds test commands in their configs
+  const CIDetector = require('./src/utils/ci-detector.js');
+  const ciStatus = CIDetector.analyze({
+    configs: [{ path: '.github/workflows', content: null }, { path: 'Jenkinsfile', content: "stage('Test') { sh './gradlew test' }" }]
+  }, [{ name: 'lint.yml', path: '.github/workflows/lint.yml', content: 'steps:\n  - run: npm run lint\n' }]);
+  if (ciStatus.systems.map(system => system.key).join() !== 'githubActions,jenkins' || !ciStatus.runsTests ||
+      ciStatus.testCommands[0] !== 'Jenkinsfile: gradlew test' || ciStatus.workflows[0] !== 'lint.yml') {
+    throw new Error('Unexpected CI detection');
+  }
+  console.log(`✅ CI detection: ${ciStatus.systems.map(system => system.name).join(', ')}, ${ciStatus.testCommands[0]}`);
   
 } catch (error) {
   console.log(`❌ JavaScript validation failed: ${error.message}`);
@@ -117,29 +435,160 @@ if (fs.existsSync('.env.example')) {
   console.log('✅ .env.example available');
 }
 
-console.log('\n🎉 All tests passed! Application structure is valid.\n');
-
-console.log('📋 Next steps:');
-console.log('1. Copy .env.example to .env and add your GitHub token');
-console.log('2. Run: npm run staged-scan (recommended)');
-console.log('3. Run: npm run staged-generate');
-console.log('4. Run: npm run dev (to test locally)');
-console.log('5. Deploy to GitHub Pages using the daily automated workflow\n');
-
-console.log('🔧 Available commands:');
-console.log('- npm run staged-scan    # Scan one category (recommended)');
-console.log('- npm run staged-generate # Generate website from current data');
-console.log('- npm run staged-build   # Staged scan + generate');
-console.log('- npm run scan           # Legacy: Full scan (may timeout)');
-console.log('- npm run generate       # Legacy: Full generate');
-console.log('- npm run build          # Legacy: Full build');
-console.log('- npm run dev            # Start development server');
-console.log('- npm test               # Run this validation script');
-console.log('- node inspect-data.js   # View scan progress');
-console.log('- node manual-scan.js    # Manual category scanning\n');
-
-console.log('📚 Documentation:');
-console.log('- README.md         # Project overview and staged scanning approach');
-console.log('- .env.example      # Environment configuration');
-console.log('- manual-scan.js    # Manual category scanning tool');
-console.log('- inspect-data.js   # Data inspection and progress viewer\n');
+// Test 6: Concurrent enrichment against a stubbed GitHub API
+console.log('\n⚡ Concurrent enrichment...');
+testConcurrentEnrichment()
+  .catch(failed('Concurrent enrichment'))
+  .then(() => {
+    // Test 7: A recorded GraphQL scan replays on a later day
+    console.log('\n📼 GraphQL fixture replay...');
+    return testGraphQLFixtureReplay().catch(failed('GraphQL fixture replay'));
+  })
+  .then(printSummary);
+
+function failed(name) {
+  return error => {
+    console.log(`❌ ${name} failed: ${error.message}`);
+    process.exit(1);
+  };
+}
+
+// Enrich a few repositories through the real Octokit hooks and governor, with
+// every response served by a stub after 20ms. Parallel enrichment has to
+// overlap requests instead of spacing each one RATE_LIMIT_DELAY apart.
+async function testConcurrentEnrichment() {
+  process.env.GITHUB_CACHE = 'false';
+  const os = require('os');
+  const { Octokit } = require('@octokit/rest');
+  const StagedScanner = require('./src/staged-scanner.js');
+  const RateLimitGovernor = require('./src/utils/rate-limiter.js');
+  const WorkerPool = require('./src/utils/worker-pool.js');
+
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let calls = 0;
+  const listed = { root: 0, workflows: 0 };
+  // Only the root, .github/ and .github/workflows/ listings and an MIT LICENSE.md exist
+  const licenseText = Buffer.from('MIT License\n\nPermission is hereby granted, free of charge').toString('base64');
+  const listings = [
+    { key: 'root', pattern: /\/contents\/?(\?|$)/, body: [{ name: '.github', type: 'dir' }, { name: 'LICENSE.md', type: 'file' }] },
+    { pattern: /\/contents\/\.github(\?|$)/, body: [{ name: 'workflows', type: 'dir' }, { name: 'CONTRIBUTING.md', type: 'file' }] },
+    { key: 'workflows', pattern: /\/contents\/\.github%2Fworkflows(\?|$)/, body: [] },
+    { pattern: /\/contents\/LICENSE\.md(\?|$)/, body: { name: 'LICENSE.md', type: 'file', content: licenseText } }
+  ];
+  const fetch = async url => {
+    calls++;
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    inFlight--;
+    const listing = listings.find(candidate => candidate.pattern.test(url));
+    if (listing && listing.key) listed[listing.key]++;
+    const missing = !listing && /\/contents\/|\/readme/.test(url);
+    return new Response(JSON.stringify(missing ? { message: 'Not Found' } : listing ? listing.body : []), {
+      status: missing ? 404 : 200,
+      headers: { 'content-type': 'application/json' }
+    });
+  };
+
+  const scanner = new StagedScanner();
+  const inputsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-inputs-'));
+  scanner.scoringInputs.dir = inputsDir;
+  scanner.github.octokit = new Octokit({ request: { fetch } });
+  scanner.github.governor = new RateLimitGovernor({ minDelay: 50, maxConcurrent: 4 });
+  scanner.github.governor.install(scanner.github.octokit);
+  scanner.enrichmentPool = new WorkerPool(3);
+
+  const repos = [1, 2, 3, 4, 5, 6].map(i => ({
+    full_name: `example/repo${i}`, name: `repo${i}`, html_url: `https://github.com/example/repo${i}`,
+    owner: { login: 'example', type: 'User' }, stargazers_count: 10, forks_count: 0, pushed_at: new Date().toISOString(), topics: []
+  }));
+
+  const started = Date.now();
+  const log = console.log;
+  console.log = () => {};
+  const enriched = await scanner.enrichmentPool.map(repos, repo => scanner.enrichRepository(repo, 'api-testing'))
+    .finally(() => { console.log = log; });
+  const elapsed = Date.now() - started;
+  fs.rmSync(inputsDir, { recursive: true, force: true });
+
+  const serial = calls * 50;
+  if (enriched.some(repo => !repo) || maxInFlight < 2 || elapsed > serial * 0.75) {
+    throw new Error(`${calls} requests took ${elapsed}ms with at most ${maxInFlight} in flight (serial spacing: ${serial}ms)`);
+  }
+  // The community score and the Scorecard license check find the same LICENSE.md,
+  // and the contributing guide is found under .github/
+  const sample = enriched[0];
+  const licenseCheck = sample.additionalData.scorecard.checks.find(item => item.key === 'license');
+  if (!sample.qualityScore.evidence.some(item => item.label === 'LICENSE present') ||
+      !sample.qualityScore.evidence.some(item => item.label === 'CONTRIBUTING.md present') ||
+      licenseCheck.reason !== 'MIT license (LICENSE.md)') {
+    throw new Error(`LICENSE.md and .github/CONTRIBUTING.md not detected consistently (${licenseCheck.reason})`);
+  }
+  // CI detection and the security checks share one root and one workflows listing
+  if (listed.root !== repos.length || listed.workflows !== repos.length) {
+    throw new Error(`Listed the root ${listed.root} and the workflows ${listed.workflows} times for ${repos.length} repositories`);
+  }
+  console.log(`✅ ${repos.length} repositories enriched with up to ${maxInFlight} requests in flight (${calls} requests in ${elapsed}ms, ${serial}ms one at a time)`);
+}
+
+// Record a GraphQL enrichment query, then replay it the next day: the
+// three-month $since window has moved on, but the fixture must still match.
+async function testGraphQLFixtureReplay() {
+  const os = require('os');
+  const { Octokit } = require('@octokit/rest');
+  const FixtureStore = require('./src/utils/fixtures.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+  const query = 'query($since: GitTimestamp!) { viewer { login } }';
+
+  try {
+    const recorder = new Octokit({
+      request: {
+        fetch: async () => new Response(JSON.stringify({ data: { viewer: { login: 'recorded' } } }), {
+          headers: { 'content-type': 'application/json' }
+        })
+      }
+    });
+    new FixtureStore(dir, 'record').install(recorder);
+    await recorder.graphql(query, { since: '2024-01-01T00:00:00.000Z' });
+
+    const replayer = new Octokit({ request: { fetch: async () => { throw new Error('Replay reached the network'); } } });
+    new FixtureStore(dir, 'replay').install(replayer);
+    const replayed = await replayer.graphql(query, { since: '2024-01-02T00:00:00.000Z' });
+    if (!replayed.viewer || replayed.viewer.login !== 'recorded') {
+      throw new Error(`Unexpected replayed data: ${JSON.stringify(replayed)}`);
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ GraphQL query recorded with since=2024-01-01 replays with since=2024-01-02');
+}
+
+function printSummary() {
+  console.log('\n🎉 All tests passed! Application structure is valid.\n');
+
+  console.log('📋 Next steps:');
+  console.log('1. Copy .env.example to .env and add your GitHub token');
+  console.log('2. Run: npm run staged-scan (recommended)');
+  console.log('3. Run: npm run staged-generate');
+  console.log('4. Run: npm run dev (to test locally)');
+  console.log('5. Deploy to GitHub Pages using the daily automated workflow\n');
+
+  console.log('🔧 Available commands:');
+  console.log('- npm run staged-scan    # Scan one category (recommended)');
+  console.log('- npm run staged-generate # Generate website from current data');
+  console.log('- npm run staged-build   # Staged scan + generate');
+  console.log('- npm run rescore        # Rebuild scores from saved inputs (offline)');
+  console.log('- npm run scan           # Legacy: Full scan (may timeout)');
+  console.log('- npm run generate       # Legacy: Full generate');
+  console.log('- npm run build          # Legacy: Full build');
+  console.log('- npm run dev            # Start development server');
+  console.log('- npm test               # Run this validation script');
+  console.log('- node inspect-data.js   # View scan progress');
+  console.log('- node manual-scan.js    # Manual category scanning\n');
+
+  console.log('📚 Documentation:');
+  console.log('- README.md         # Project overview and staged scanning approach');
+  console.log('- .env.example      # Environment configuration');
+  console.log('- manual-scan.js    # Manual category scanning tool');
+  console.log('- inspect-data.js   # Data inspection and progress viewer\n');
+}